@@ -8,6 +8,27 @@
 // Dependencies loaded via script tags:
 // - types.js provides window.APP_CONSTANTS, window.EXPORT_EXTENSIONS
 // - js/utils/imageProcessor.js provides window.ImageProcessor
+// - js/utils/projectFile.js provides window.ProjectFile
+// - js/utils/projectStore.js provides window.ProjectStore
+// - js/utils/editHistory.js provides window.EditHistory
+// - js/utils/colorQuantizer.js provides window.ColorQuantizer
+// - js/utils/colorDistance.js provides window.ColorDistance
+// - js/utils/colorMapper.js provides window.ColorMapper
+// - js/utils/lithophaneGenerator.js provides window.LithophaneGenerator
+// - js/utils/meshBuilder.js provides window.MeshBuilder
+// - js/utils/meshValidator.js provides window.MeshValidator
+// - js/utils/zipWriter.js provides window.ZipWriter
+// - js/utils/exportMetadata.js provides window.ExportMetadata
+// - js/utils/threeMFWriter.js provides window.ThreeMFWriter
+// - js/utils/stlWriter.js provides window.StlWriter
+// - js/utils/vectorizer.js provides window.Vectorizer
+// - js/utils/swapTable.js provides window.SwapTable
+// - js/utils/gcodePatcher.js provides window.GcodePatcher
+// - js/utils/tdLayering.js provides window.TdLayering
+// - js/utils/filamentLibrary.js provides window.FilamentLibrary
+// - js/utils/workerClient.js provides window.WorkerClient
+// - js/workers/imageTasks.js provides window.ImageTasks
+// - js/workers/meshTasks.js provides window.MeshTasks
 
 /**
  * Main PolyHue Application Class
@@ -15,21 +36,7 @@
 class PolyHueApp {
     constructor() {
         // Application state
-        this.state = {
-            image: null,
-            colors: [],
-            totalHeight: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT,
-            currentStep: 1,
-            exportSettings: {
-                format: 'stl',
-                quality: 'medium',
-                includeColors: true,
-                optimize: true,
-                scale: 1.0
-            },
-            isDirty: false,
-            lastModified: new Date()
-        };
+        this.state = this.createInitialState();
 
         // Component references
         this.components = {
@@ -42,6 +49,28 @@ class PolyHueApp {
         // UI element references
         this.elements = {};
 
+        // Owned filaments persist across projects, so they live outside state
+        this.filamentInventory = [];
+
+        // Beta feature toggles, also kept per browser rather than per project
+        this.featureFlags = { ...window.FEATURE_FLAGS };
+
+        // Image processing and mesh workers, the id of the newest 2D preview
+        // request and the number of the newest 3D model build
+        this.imageWorker = null;
+        this.meshWorker = null;
+        this.previewRequestId = 0;
+        this.modelGeneration = 0;
+
+        // Autosave: the stored project this session writes to, the pending
+        // save and the current image's Blob and thumbnail, made once per image
+        this.projectId = null;
+        this.autosaveTimeout = null;
+        this.autosaveImage = null;
+
+        // Undo/redo stack of color, layer and settings edits
+        this.history = null;
+
         // Bind methods
         this.handleImageUpload = this.handleImageUpload.bind(this);
         this.handleColorChange = this.handleColorChange.bind(this);
@@ -65,6 +94,11 @@ class PolyHueApp {
             // Cache DOM elements
             this.cacheElements();
             
+            // Start the image processing and mesh workers
+            this.imageWorker = new window.WorkerClient('js/workers/imageWorker.js', window.ImageTasks);
+            this.meshWorker = new window.WorkerClient('js/workers/meshWorker.js', window.MeshTasks);
+            this.history = new window.EditHistory();
+            
             // Set up event listeners
             this.setupEventListeners();
             
@@ -74,11 +108,20 @@ class PolyHueApp {
             // Initialize image upload functionality
             this.initializeImageUpload();
             
+            // Load the spool inventory and vendor palettes
+            this.initializeFilamentLibrary();
+
+            // Restore beta feature toggles
+            this.loadFeatureFlags();
+            
             // Set initial state
             this.updateUI();
             
             // Hide the loading overlay now that initialization is complete
             this.hideLoading();
+
+            // List autosaved projects and offer the last session
+            await this.initializeProjectStore();
             
             console.log('✅ PolyHue initialized successfully');
         } catch (error) {
@@ -105,6 +148,19 @@ class PolyHueApp {
             // Image upload elements
             uploadArea: document.getElementById('upload-area'),
             uploadButton: document.getElementById('upload-button'),
+            saveProjectBtn: document.getElementById('save-project'),
+            undoBtn: document.getElementById('undo-edit'),
+            redoBtn: document.getElementById('redo-edit'),
+            toggleHistoryBtn: document.getElementById('toggle-history'),
+            historyPanel: document.getElementById('history-panel'),
+            historyList: document.getElementById('history-list'),
+            historyEmpty: document.getElementById('history-empty'),
+            restoreBanner: document.getElementById('restore-banner'),
+            restoreMessage: document.getElementById('restore-message'),
+            restoreSessionBtn: document.getElementById('restore-session'),
+            dismissRestoreBtn: document.getElementById('dismiss-restore'),
+            recentProjects: document.getElementById('recent-projects'),
+            recentProjectList: document.getElementById('recent-project-list'),
             imageInput: document.getElementById('image-input'),
             uploadPreview: document.getElementById('upload-preview'),
             previewImage: document.getElementById('preview-image'),
@@ -119,6 +175,30 @@ class PolyHueApp {
             decreaseColorsBtn: document.getElementById('decrease-colors'),
             increaseColorsBtn: document.getElementById('increase-colors'),
             reanalyzeImageBtn: document.getElementById('reanalyze-image'),
+            fixedPaletteInput: document.getElementById('fixed-palette-input'),
+            applyFixedPaletteBtn: document.getElementById('apply-fixed-palette'),
+            loadPaletteFileBtn: document.getElementById('load-palette-file'),
+            paletteFileInput: document.getElementById('palette-file'),
+            unlockPaletteBtn: document.getElementById('unlock-palette'),
+            paletteLockStatus: document.getElementById('palette-lock-status'),
+            quantizationAlgorithm: document.getElementById('quantization-algorithm'),
+            quantizationSeed: document.getElementById('quantization-seed'),
+            colorMetric: document.getElementById('color-metric'),
+            enforceCoverage: document.getElementById('enforce-coverage'),
+            ditheringMode: document.getElementById('dithering-mode'),
+            ditherStrength: document.getElementById('dither-strength'),
+            ditherStrengthValue: document.getElementById('dither-strength-value'),
+            tdPreview: document.getElementById('td-preview'),
+            filamentCount: document.getElementById('filament-count'),
+            filamentInventory: document.getElementById('filament-inventory'),
+            vendorFilament: document.getElementById('vendor-filament'),
+            addVendorFilamentBtn: document.getElementById('add-vendor-filament'),
+            customFilamentForm: document.getElementById('custom-filament-form'),
+            importFilamentsBtn: document.getElementById('import-filaments'),
+            filamentFileInput: document.getElementById('filament-file'),
+            exportFilamentsJsonBtn: document.getElementById('export-filaments-json'),
+            exportFilamentsCsvBtn: document.getElementById('export-filaments-csv'),
+            snapToFilamentsBtn: document.getElementById('snap-to-filaments'),
             colorPreviewCanvas: document.getElementById('color-preview-canvas'),
             colorList: document.getElementById('color-list'),
             backToUploadBtn: document.getElementById('back-to-upload'),
@@ -126,8 +206,33 @@ class PolyHueApp {
             
             // 3D model elements
             threeViewport: document.getElementById('three-viewport'),
+            modelWidth: document.getElementById('model-width'),
+            modelDepth: document.getElementById('model-depth'),
+            modelUnits: document.getElementById('model-units'),
+            lockAspect: document.getElementById('lock-aspect'),
+            dimensionUnitLabels: document.querySelectorAll('.dimension-unit'),
+            modelMode: document.getElementById('model-mode'),
+            colorLayerSettings: document.getElementById('color-layer-settings'),
+            lithophaneSettings: document.getElementById('lithophane-settings'),
+            lithophaneMinThickness: document.getElementById('lithophane-min-thickness'),
+            lithophaneMaxThickness: document.getElementById('lithophane-max-thickness'),
+            lithophaneInvert: document.getElementById('lithophane-invert'),
+            lithophaneBacking: document.getElementById('lithophane-backing'),
+            lithophaneCurveAngle: document.getElementById('lithophane-curve-angle'),
             totalHeight: document.getElementById('total-height'),
             layerList: document.getElementById('layer-list'),
+            swapLayerHeight: document.getElementById('swap-layer-height'),
+            swapFirstLayerHeight: document.getElementById('swap-first-layer-height'),
+            swapTable: document.getElementById('swap-table'),
+            swapExportMarkdownBtn: document.getElementById('swap-export-markdown'),
+            swapExportPrusaBtn: document.getElementById('swap-export-prusaslicer'),
+            swapExportBambuBtn: document.getElementById('swap-export-bambu'),
+            swapExportM600Btn: document.getElementById('swap-export-m600'),
+            gcodeMacro: document.getElementById('gcode-macro'),
+            gcodeMacros: document.getElementById('gcode-macros'),
+            gcodeInput: document.getElementById('gcode-input'),
+            patchGcodeBtn: document.getElementById('patch-gcode'),
+            gcodeSummary: document.getElementById('gcode-summary'),
             resetCameraBtn: document.getElementById('reset-camera'),
             toggleWireframeBtn: document.getElementById('toggle-wireframe'),
             backToColorsBtn: document.getElementById('back-to-colors'),
@@ -138,7 +243,21 @@ class PolyHueApp {
             exportGlbBtn: document.getElementById('export-glb'),
             exportObjBtn: document.getElementById('export-obj'),
             exportPngBtn: document.getElementById('export-png'),
+            exportMasksBtn: document.getElementById('export-masks'),
+            exportSvgBtn: document.getElementById('export-svg'),
             exportZipBtn: document.getElementById('export-zip'),
+            export3mfBtn: document.getElementById('export-3mf'),
+            stlPerColor: document.getElementById('stl-per-color'),
+            stlAscii: document.getElementById('stl-ascii'),
+            enable3mf: document.getElementById('enable-3mf'),
+            exportDialog: document.getElementById('export-dialog'),
+            exportDialogTitle: document.getElementById('export-dialog-title'),
+            exportFilename: document.getElementById('export-filename'),
+            exportTitle: document.getElementById('export-title'),
+            exportAuthor: document.getElementById('export-author'),
+            exportDescription: document.getElementById('export-description'),
+            exportSoftware: document.getElementById('export-software'),
+            exportCreated: document.getElementById('export-created'),
             
             // UI feedback elements
             loadingOverlay: document.getElementById('loading-overlay'),
@@ -175,6 +294,40 @@ class PolyHueApp {
             this.elements.imageInput.addEventListener('change', this.handleImageUpload);
         }
 
+        if (this.elements.saveProjectBtn) {
+            this.elements.saveProjectBtn.addEventListener('click', () => this.saveProject());
+        }
+
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.addEventListener('click', () => this.undo());
+        }
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.addEventListener('click', () => this.redo());
+        }
+        if (this.elements.toggleHistoryBtn) {
+            this.elements.toggleHistoryBtn.addEventListener('click', () => {
+                this.toggleHistoryPanel(this.elements.historyPanel.hidden);
+            });
+        }
+
+        if (this.elements.restoreSessionBtn) {
+            this.elements.restoreSessionBtn.addEventListener('click', () => {
+                this.openStoredProject(this.elements.restoreBanner.dataset.projectId);
+            });
+        }
+        if (this.elements.dismissRestoreBtn) {
+            this.elements.dismissRestoreBtn.addEventListener('click', () => {
+                this.elements.restoreBanner.hidden = true;
+            });
+        }
+
+        // Don't lose the last edits when the tab is closed or put away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.autosaveTimeout) {
+                this.autosave();
+            }
+        });
+
         // Step navigation events
         if (this.elements.proceedToColorsBtn) {
             this.elements.proceedToColorsBtn.addEventListener('click', () => {
@@ -222,7 +375,90 @@ class PolyHueApp {
         }
 
         if (this.elements.reanalyzeImageBtn) {
-            this.elements.reanalyzeImageBtn.addEventListener('click', this.reanalyzeImage.bind(this));
+            this.elements.reanalyzeImageBtn.addEventListener('click', async () => {
+                const before = this.captureEditState();
+                if (await this.reanalyzeImage()) {
+                    this.recordEdit('Re-analyze image', before);
+                }
+            });
+        }
+
+        // Fixed palette events
+        if (this.elements.applyFixedPaletteBtn) {
+            this.elements.applyFixedPaletteBtn.addEventListener('click', this.handleFixedPaletteApply.bind(this));
+        }
+
+        if (this.elements.loadPaletteFileBtn) {
+            this.elements.loadPaletteFileBtn.addEventListener('click', () => {
+                this.elements.paletteFileInput?.click();
+            });
+        }
+
+        if (this.elements.paletteFileInput) {
+            this.elements.paletteFileInput.addEventListener('change', this.handlePaletteFileLoad.bind(this));
+        }
+
+        if (this.elements.unlockPaletteBtn) {
+            this.elements.unlockPaletteBtn.addEventListener('click', this.unlockPalette.bind(this));
+        }
+
+        if (this.elements.quantizationAlgorithm) {
+            this.elements.quantizationAlgorithm.addEventListener('change', this.handleQuantizationChange.bind(this));
+        }
+
+        if (this.elements.quantizationSeed) {
+            this.elements.quantizationSeed.addEventListener('change', this.handleQuantizationChange.bind(this));
+        }
+
+        if (this.elements.colorMetric) {
+            this.elements.colorMetric.addEventListener('change', this.handleColorMetricChange.bind(this));
+        }
+
+        if (this.elements.enforceCoverage) {
+            this.elements.enforceCoverage.addEventListener('change', this.handleEnforceCoverageChange.bind(this));
+        }
+
+        if (this.elements.ditheringMode) {
+            this.elements.ditheringMode.addEventListener('change', this.handleDitheringChange.bind(this));
+        }
+
+        if (this.elements.ditherStrength) {
+            this.elements.ditherStrength.addEventListener('input', this.handleDitheringChange.bind(this));
+        }
+
+        if (this.elements.tdPreview) {
+            this.elements.tdPreview.addEventListener('change', this.handleTdLayeringChange.bind(this));
+        }
+
+        // Filament library events
+        if (this.elements.addVendorFilamentBtn) {
+            this.elements.addVendorFilamentBtn.addEventListener('click', this.handleAddVendorFilament.bind(this));
+        }
+
+        if (this.elements.customFilamentForm) {
+            this.elements.customFilamentForm.addEventListener('submit', this.handleCustomFilamentSubmit.bind(this));
+        }
+
+        if (this.elements.importFilamentsBtn) {
+            this.elements.importFilamentsBtn.addEventListener('click', () => {
+                this.elements.filamentFileInput?.click();
+            });
+        }
+
+        if (this.elements.filamentFileInput) {
+            this.elements.filamentFileInput.addEventListener('change', this.handleFilamentImport.bind(this));
+        }
+
+        if (this.elements.exportFilamentsJsonBtn) {
+            this.elements.exportFilamentsJsonBtn.addEventListener('click', () => this.exportFilaments('json'));
+        }
+
+        if (this.elements.exportFilamentsCsvBtn) {
+            this.elements.exportFilamentsCsvBtn.addEventListener('click', () => this.exportFilaments('csv'));
+        }
+
+        if (this.elements.snapToFilamentsBtn) {
+            this.elements.snapToFilamentsBtn.addEventListener('click', this.snapPaletteToFilaments.bind(this));
         }
 
         // Export events
@@ -238,9 +474,37 @@ class PolyHueApp {
         if (this.elements.exportPngBtn) {
             this.elements.exportPngBtn.addEventListener('click', () => this.handleExport('png'));
         }
+        if (this.elements.exportMasksBtn) {
+            this.elements.exportMasksBtn.addEventListener('click', () => this.handleExport('masks'));
+        }
+        if (this.elements.exportSvgBtn) {
+            this.elements.exportSvgBtn.addEventListener('click', () => this.handleExport('svg'));
+        }
         if (this.elements.exportZipBtn) {
             this.elements.exportZipBtn.addEventListener('click', () => this.handleExport('zip'));
         }
+        if (this.elements.export3mfBtn) {
+            this.elements.export3mfBtn.addEventListener('click', () => this.handleExport('3mf'));
+        }
+        if (this.elements.stlPerColor) {
+            this.elements.stlPerColor.addEventListener('change', () => {
+                const before = this.captureEditState();
+                this.state.exportSettings.splitByColor = this.elements.stlPerColor.checked;
+                this.recordEdit('Toggle STL per color', before);
+            });
+        }
+        if (this.elements.stlAscii) {
+            this.elements.stlAscii.addEventListener('change', () => {
+                const before = this.captureEditState();
+                this.state.exportSettings.stlFormat = this.elements.stlAscii.checked ? 'ascii' : 'binary';
+                this.recordEdit('Toggle ASCII STL', before);
+            });
+        }
+        if (this.elements.enable3mf) {
+            this.elements.enable3mf.addEventListener('change', () => {
+                this.setFeatureFlag('is3mfEnabled', this.elements.enable3mf.checked);
+            });
+        }
 
         // Error handling
         if (this.elements.errorClose) {
@@ -258,6 +522,15 @@ class PolyHueApp {
         const file = event.target.files?.[0];
         if (!file) return;
 
+        // Saved projects come in through the same upload area
+        if (window.ProjectFile.isProjectFile(file)) {
+            if (this.elements.imageInput) {
+                this.elements.imageInput.value = '';
+            }
+            await this.loadProject(file);
+            return;
+        }
+
         try {
             this.showLoading('Processing image...');
             
@@ -281,59 +554,50 @@ class PolyHueApp {
             });
             
             // Update state
+            if (this.autosaveTimeout) this.autosave(); // finish saving the previous image's project
             this.state.image = imageData;
+            this.fitDimensionsToImage();
+            this.state.exportSettings.filename = ''; // default to the new image's name
+            this.projectId = null;
+            if (this.elements.restoreBanner) this.elements.restoreBanner.hidden = true;
+            this.history.clear();
+            this.renderHistory();
+            this.coverageSolution = null;
+            this.colorMapCache = null;
+            this.layerCountCache = null;
             this.state.isDirty = true;
             this.state.lastModified = new Date();
 
-            // Extract colors using ColorThief if available
-            try {
-                if (window.ColorThief && imageData.canvas && imageData.canvas.width > 0 && imageData.canvas.height > 0) {
+            // Later image tasks work on the worker's copy of the pixels
+            await this.imageWorker.request('set-image', {
+                pixels: imageData.data,
+                width: imageData.width,
+                height: imageData.height
+            });
+
+            // Extract colors with the configured quantizer, unless the user fixed the palette
+            if (this.state.paletteLocked) {
+                console.log(`Keeping fixed palette of ${this.state.colors.length} colors`);
+            } else {
+                try {
                     this.showLoading('Extracting colors...');
-                    
-                    // Ensure the canvas is ready by creating a small test image
-                    const tempImg = new Image();
-                    tempImg.crossOrigin = 'anonymous';
-                    
-                    tempImg.onload = () => {
-                        try {
-                            const colorThief = new window.ColorThief();
-                            const paletteRgb = colorThief.getPalette(tempImg, window.APP_CONSTANTS.DEFAULT_COLOR_COUNT);
-                            
-                            // Convert to our color format
-                            this.state.colors = paletteRgb.map((rgb, index) => ({
-                                id: index,
-                                hex: window.ImageProcessor.rgbToHex(rgb[0], rgb[1], rgb[2]),
-                                rgb: { r: rgb[0], g: rgb[1], b: rgb[2] },
-                                percent: Math.round(100 / paletteRgb.length), // Evenly distributed initially
-                                custom: false,
-                                height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / paletteRgb.length,
-                                order: index
-                            }));
-                            
-                            console.log(`Extracted ${this.state.colors.length} colors from image`);
-                            this.hideLoading();
-                        } catch (colorError) {
-                            console.error('ColorThief extraction failed:', colorError);
-                            this.fallbackColorExtraction(imageData);
-                        }
-                    };
-                    
-                    tempImg.onerror = () => {
-                        console.warn('Failed to load image for ColorThief, using fallback');
-                        this.fallbackColorExtraction(imageData);
-                    };
-                    
-                    tempImg.src = imageData.src;
-                } else {
+                    this.state.colors = this.createColorRegions(
+                        await this.extractPalette(window.APP_CONSTANTS.DEFAULT_COLOR_COUNT)
+                    );
+                    console.log(`Extracted ${this.state.colors.length} colors from image`);
+                } catch (colorError) {
+                    console.error('Color extraction failed:', colorError);
                     this.fallbackColorExtraction(imageData);
                 }
-            } catch (colorError) {
-                console.error('Color extraction failed:', colorError);
-                this.fallbackColorExtraction(imageData);
             }
 
+            // Start from the palette's natural coverage
+            this.showLoading('Measuring color coverage...');
+            await this.recalculatePercentages();
+
             // Update UI
             this.updateImagePreview();
+            this.scheduleAutosave();
             
             // Show resize message if image was resized
             if (imageData.wasResized) {
@@ -374,6 +638,45 @@ class PolyHueApp {
         }
     }
 
+    /**
+     * Extract a palette from the processed image pixels
+     * @param {number} colorCount - Number of colors to extract
+     * @returns {Promise<Array>} Palette entries ({ r, g, b, count }) sorted by coverage
+     */
+    async extractPalette(colorCount) {
+        if (!this.state.image || !this.state.image.data) {
+            throw new Error('No image data available for analysis');
+        }
+
+        const palette = await this.runImageTask('quantize', {
+            colorCount,
+            algorithm: this.state.quantization.algorithm,
+            seed: this.state.quantization.seed
+        });
+
+        if (palette.length === 0) {
+            throw new Error('Image has no opaque pixels to analyze');
+        }
+
+        return palette;
+    }
+
+    /**
+     * Convert quantizer palette entries to color regions
+     */
+    createColorRegions(palette) {
+        return palette.map((entry, index) => ({
+            id: index,
+            hex: window.ImageProcessor.rgbToHex(entry.r, entry.g, entry.b),
+            rgb: { r: entry.r, g: entry.g, b: entry.b },
+            percent: Math.round(100 / palette.length), // Evenly distributed initially
+            custom: false,
+            height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / palette.length,
+            order: index,
+            td: window.APP_CONSTANTS.DEFAULT_FILAMENT_TD
+        }));
+    }
+
     /**
      * Generate default colors as final fallback
      */
@@ -389,7 +692,8 @@ class PolyHueApp {
                 percent: Math.round(100 / count),
                 custom: false,
                 height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / count,
-                order: i
+                order: i,
+                td: window.APP_CONSTANTS.DEFAULT_FILAMENT_TD
             });
         }
         return colors;
@@ -497,6 +801,10 @@ class PolyHueApp {
             content.classList.toggle('active', stepNumber === this.state.currentStep);
         });
 
+        if (this.elements.saveProjectBtn) {
+            this.elements.saveProjectBtn.disabled = !this.state.image;
+        }
+
         // Update color count display
         if (this.elements.colorCountValue) {
             this.elements.colorCountValue.textContent = this.state.colors.length || window.APP_CONSTANTS.DEFAULT_COLOR_COUNT;
@@ -509,6 +817,9 @@ class PolyHueApp {
 
         // Update color editor if on step 2
         if (this.state.currentStep === 2) {
+            this.updatePaletteLockControls();
+            this.updateQuantizationControls();
+            this.updateColorMappingControls();
             this.updateColorEditor();
             this.updateColorPreview();
         }
@@ -528,6 +839,10 @@ class PolyHueApp {
         // Clear existing color items
         this.elements.colorList.innerHTML = '';
 
+        // Coverage slider bounds leave room for every other color's minimum share
+        const minCoverage = window.APP_CONSTANTS.MIN_COLOR_COVERAGE;
+        const maxCoverage = 100 - (this.state.colors.length - 1) * minCoverage;
+
         // Create color items
         this.state.colors.forEach((color, index) => {
             const colorItem = document.createElement('div');
@@ -541,15 +856,24 @@ class PolyHueApp {
                     <input type="color" value="${color.hex}" data-color-id="${color.id}" class="color-picker">
                     <div class="color-details">
                         <span class="color-hex">${color.hex}</span>
+                        <span class="color-filament" hidden></span>
+                    </div>
+                    <div class="color-td">
+                        <label class="percentage-label" for="color-td-${color.id}">TD (mm)</label>
+                        <input type="number" id="color-td-${color.id}" class="color-td-input control-input"
+                               min="0.1" max="20" step="0.1" value="${color.td || window.APP_CONSTANTS.DEFAULT_FILAMENT_TD}"
+                               data-color-id="${color.id}" title="Filament transmission distance">
+                        <span class="color-layer-count" hidden></span>
                     </div>
                     <div class="color-percentage">
                         <label class="percentage-label">Coverage</label>
                         <div class="percentage-control">
                             <input type="range" class="color-percent-slider" 
-                                   min="5" max="60" value="${color.percent}" 
+                                   min="${minCoverage}" max="${maxCoverage}" value="${color.percent}" 
                                    data-color-id="${color.id}" 
                                    title="Adjust color coverage percentage">
                             <span class="color-percent-value">${color.percent}%</span>
+                            <span class="color-coverage-achieved" hidden></span>
                         </div>
                     </div>
                 </div>
@@ -559,6 +883,13 @@ class PolyHueApp {
                 </div>
             `;
             
+            // Filament names come from user files, so set them as text
+            const filamentLabel = colorItem.querySelector('.color-filament');
+            if (color.filament) {
+                filamentLabel.textContent = [color.filament.vendor, color.filament.name].filter(Boolean).join(' ');
+                filamentLabel.hidden = false;
+            }
+            
             // Add drag and drop event listeners only to the drag handle
             const dragHandle = colorItem.querySelector('.drag-handle');
             if (dragHandle) {
@@ -613,6 +944,16 @@ class PolyHueApp {
             });
         });
 
+        // Add event listeners to TD inputs
+        this.elements.colorList.querySelectorAll('.color-td-input').forEach(input => {
+            input.addEventListener('change', this.handleColorTdChange.bind(this));
+            
+            // Prevent drag and drop conflicts with TD inputs
+            input.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        });
+
         // Add event listeners to delete buttons
         this.elements.colorList.querySelectorAll('.color-delete').forEach(button => {
             button.addEventListener('click', this.handleColorDelete.bind(this));
@@ -637,18 +978,26 @@ class PolyHueApp {
     /**
      * Handle color picker changes
      */
-    handleColorPickerChange(event) {
+    async handleColorPickerChange(event) {
         const colorId = parseInt(event.target.dataset.colorId);
         const newHex = event.target.value;
         
         const color = this.state.colors.find(c => c.id === colorId);
         if (color) {
+            const before = this.captureEditState();
             color.hex = newHex;
             color.custom = true;
+            delete color.filament;
             const rgb = window.ImageProcessor.hexToRgb(newHex);
             if (rgb) {
                 color.rgb = rgb;
             }
+
+            // Without targets, coverage follows the new palette
+            if (!this.state.colorMapping.enforceCoverage) {
+                await this.recalculatePercentages();
+            }
+            this.recordEdit('Change color', before);
             
             // Update the display
             this.updateColorEditor();
@@ -665,6 +1014,7 @@ class PolyHueApp {
         const color = this.state.colors.find(c => c.id === colorId);
         if (!color) return;
 
+        const before = this.captureEditState();
         const oldPercent = color.percent;
         const percentDiff = newPercent - oldPercent;
 
@@ -672,12 +1022,20 @@ class PolyHueApp {
         color.percent = newPercent;
         color.custom = true; // Mark as customized
 
+        // Moving a slider turns the percentages into assignment targets
+        this.state.colorMapping.enforceCoverage = true;
+        this.updateColorMappingControls();
+
         // Redistribute the difference among other colors
         this.redistributePercentages(colorId, percentDiff);
+        this.recordEdit('Adjust coverage', before, `coverage-${colorId}`);
 
-        // Update the display
+        // Update the display (preview re-solves the assignment, so debounce it)
         this.updatePercentageDisplays();
-        this.updateColorPreview();
+        clearTimeout(this.previewTimeout);
+        this.previewTimeout = setTimeout(() => {
+            this.updateColorPreview();
+        }, window.APP_CONSTANTS.PREVIEW_DEBOUNCE_DELAY);
     }
 
     /**
@@ -699,10 +1057,11 @@ class PolyHueApp {
             // Calculate scaling factor
             const scaleFactor = targetOtherTotal / totalOtherPercent;
             
-            // Apply scaling, ensuring minimum of 5% per color
+            // Apply scaling, ensuring a minimum share per color
+            const minCoverage = window.APP_CONSTANTS.MIN_COLOR_COVERAGE;
             let adjustedTotal = 0;
             otherColors.forEach(color => {
-                const newPercent = Math.max(5, Math.round(color.percent * scaleFactor));
+                const newPercent = Math.max(minCoverage, Math.round(color.percent * scaleFactor));
                 color.percent = newPercent;
                 adjustedTotal += newPercent;
             });
@@ -714,7 +1073,7 @@ class PolyHueApp {
                     color.percent > largest.percent ? color : largest
                 );
                 largestOtherColor.percent += (100 - totalAll);
-                largestOtherColor.percent = Math.max(5, largestOtherColor.percent);
+                largestOtherColor.percent = Math.max(minCoverage, largestOtherColor.percent);
             }
         }
     }
@@ -740,133 +1099,453 @@ class PolyHueApp {
     }
 
     /**
-     * Handle color deletion
+     * localStorage key for the beta feature toggles
      */
-    handleColorDelete(event) {
-        const colorId = parseInt(event.target.dataset.colorId);
-        
-        // Don't allow deleting the last color
-        if (this.state.colors.length <= 1) {
-            this.showError('You must have at least one color.');
-            return;
-        }
-        
-        // Remove the color
-        this.state.colors = this.state.colors.filter(c => c.id !== colorId);
-        
-        // Update order indices
-        this.state.colors.forEach((color, index) => {
-            color.order = index;
-        });
-        
-        // Redistribute percentages
-        this.recalculatePercentages();
-        
-        // Update the color count controls to reflect the new count
-        if (this.elements.colorCount) {
-            this.elements.colorCount.value = this.state.colors.length;
-        }
-        if (this.elements.colorCountValue) {
-            this.elements.colorCountValue.textContent = this.state.colors.length;
+    static get FEATURE_FLAGS_KEY() {
+        return 'polyhue.featureFlags';
+    }
+
+    /**
+     * Apply the feature toggles saved in this browser over the defaults
+     */
+    loadFeatureFlags() {
+        try {
+            const stored = JSON.parse(window.localStorage?.getItem(PolyHueApp.FEATURE_FLAGS_KEY) || '{}');
+            Object.keys(window.FEATURE_FLAGS).forEach(flag => {
+                if (typeof stored[flag] === 'boolean') {
+                    this.featureFlags[flag] = stored[flag];
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load feature flags:', error);
         }
+        this.updateFeatureFlagControls();
+    }
 
-        // Update the display
-        this.updateColorEditor();
-        this.updateColorPreview();
-        this.updateUI();
+    /**
+     * Turn a beta feature on or off and remember the choice
+     */
+    setFeatureFlag(flag, enabled) {
+        this.featureFlags[flag] = enabled;
+        try {
+            window.localStorage?.setItem(PolyHueApp.FEATURE_FLAGS_KEY, JSON.stringify(this.featureFlags));
+        } catch (error) {
+            console.warn('Could not save feature flags:', error);
+        }
+        this.updateFeatureFlagControls();
     }
 
     /**
-     * Handle color item drag start
+     * Show or hide the controls of beta features
      */
-    handleColorDragStart(event) {
-        const colorItem = event.currentTarget;
-        const colorId = parseInt(colorItem.dataset.colorId);
-        
-        colorItem.classList.add('dragging');
-        event.dataTransfer.setData('text/plain', colorId.toString());
-        event.dataTransfer.effectAllowed = 'move';
+    updateFeatureFlagControls() {
+        if (this.elements.enable3mf) {
+            this.elements.enable3mf.checked = this.featureFlags.is3mfEnabled;
+        }
+        if (this.elements.export3mfBtn) {
+            this.elements.export3mfBtn.hidden = !this.featureFlags.is3mfEnabled;
+        }
     }
 
     /**
-     * Handle color item drag over
+     * Load the saved spool inventory and fill the vendor palette picker
      */
-    handleColorDragOver(event) {
-        event.preventDefault();
-        event.dataTransfer.dropEffect = 'move';
-        
-        const colorItem = event.currentTarget;
-        const draggingItem = this.elements.colorList.querySelector('.dragging');
-        
-        if (colorItem !== draggingItem) {
-            const rect = colorItem.getBoundingClientRect();
-            const midpoint = rect.top + rect.height / 2;
-            
-            if (event.clientY < midpoint) {
-                colorItem.style.borderTop = '2px solid var(--color-primary)';
-                colorItem.style.borderBottom = '';
-            } else {
-                colorItem.style.borderBottom = '2px solid var(--color-primary)';
-                colorItem.style.borderTop = '';
-            }
+    initializeFilamentLibrary() {
+        this.filamentInventory = window.FilamentLibrary.loadInventory();
+
+        if (this.elements.vendorFilament) {
+            const groups = new Map();
+            window.FilamentLibrary.VENDOR_PALETTES.forEach(filament => {
+                if (!groups.has(filament.vendor)) {
+                    const group = document.createElement('optgroup');
+                    group.label = filament.vendor;
+                    groups.set(filament.vendor, group);
+                    this.elements.vendorFilament.appendChild(group);
+                }
+                const option = document.createElement('option');
+                option.value = filament.id;
+                option.textContent = `${filament.name} (TD ${filament.td})`;
+                groups.get(filament.vendor).appendChild(option);
+            });
         }
+
+        this.renderFilamentInventory();
     }
 
     /**
-     * Handle color item drop
+     * Render the spool inventory list
      */
-    handleColorDrop(event) {
-        event.preventDefault();
-        
-        const draggedColorId = parseInt(event.dataTransfer.getData('text/plain'));
-        const targetItem = event.currentTarget;
-        const targetColorId = parseInt(targetItem.dataset.colorId);
-        
-        if (draggedColorId !== targetColorId) {
-            this.reorderColors(draggedColorId, targetColorId, event);
+    renderFilamentInventory() {
+        if (this.elements.filamentCount) {
+            this.elements.filamentCount.textContent = `(${this.filamentInventory.length})`;
         }
-        
-        // Clear visual indicators
-        this.clearDragIndicators();
+        if (this.elements.snapToFilamentsBtn) {
+            this.elements.snapToFilamentsBtn.disabled = this.filamentInventory.length === 0;
+        }
+        if (!this.elements.filamentInventory) return;
+
+        this.elements.filamentInventory.innerHTML = '';
+
+        if (this.filamentInventory.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'filament-empty';
+            empty.textContent = 'No spools yet. Add filaments you own from a vendor palette, by hand or from a file.';
+            this.elements.filamentInventory.appendChild(empty);
+            return;
+        }
+
+        this.filamentInventory.forEach(filament => {
+            const item = document.createElement('li');
+            item.className = 'filament-item';
+            item.innerHTML = `
+                <span class="filament-swatch" style="background-color: ${filament.hex}"></span>
+                <span class="filament-name"></span>
+                <span class="filament-meta">${filament.hex} · TD ${filament.td}</span>
+                <button type="button" class="btn btn-small filament-remove" title="Remove from inventory">×</button>
+            `;
+            item.querySelector('.filament-name').textContent = [filament.vendor, filament.name].filter(Boolean).join(' ');
+            item.querySelector('.filament-remove').addEventListener('click', () => {
+                this.removeFilament(filament.id);
+            });
+            this.elements.filamentInventory.appendChild(item);
+        });
     }
 
     /**
-     * Handle color item drag end
+     * Add filaments to the inventory (duplicates are skipped) and save it
+     * @param {Array<Filament>} filaments - Filaments to add
+     * @returns {number} Number of filaments actually added
      */
-    handleColorDragEnd(event) {
-        const colorItem = event.currentTarget;
-        colorItem.classList.remove('dragging');
-        colorItem.draggable = false; // Disable dragging after drag operation
-        this.clearDragIndicators();
+    addFilamentsToInventory(filaments) {
+        const before = this.filamentInventory.length;
+        this.filamentInventory = window.FilamentLibrary.merge(this.filamentInventory, filaments);
+        window.FilamentLibrary.saveInventory(this.filamentInventory);
+        this.renderFilamentInventory();
+        return this.filamentInventory.length - before;
     }
 
     /**
-     * Clear drag visual indicators
+     * Remove a filament from the inventory
      */
-    clearDragIndicators() {
-        this.elements.colorList.querySelectorAll('.color-item').forEach(item => {
-            item.style.borderTop = '';
-            item.style.borderBottom = '';
-            item.classList.remove('dragging');
-        });
+    removeFilament(filamentId) {
+        this.filamentInventory = this.filamentInventory.filter(filament => filament.id !== filamentId);
+        window.FilamentLibrary.saveInventory(this.filamentInventory);
+        this.renderFilamentInventory();
     }
 
     /**
-     * Reorder colors based on drag and drop
+     * Add the selected vendor palette filament to the inventory
      */
-    reorderColors(draggedColorId, targetColorId, event) {
-        const draggedIndex = this.state.colors.findIndex(c => c.id === draggedColorId);
-        const targetIndex = this.state.colors.findIndex(c => c.id === targetColorId);
-        
-        if (draggedIndex === -1 || targetIndex === -1) return;
-        
-        // Remove dragged color from array
-        const [draggedColor] = this.state.colors.splice(draggedIndex, 1);
-        
-        // Determine insertion point based on drop position
-        const targetItem = event.currentTarget;
-        const rect = targetItem.getBoundingClientRect();
-        const midpoint = rect.top + rect.height / 2;
+    handleAddVendorFilament() {
+        const filament = window.FilamentLibrary.VENDOR_PALETTES
+            .find(f => f.id === this.elements.vendorFilament?.value);
+        if (filament) {
+            this.addFilamentsToInventory([filament]);
+        }
+    }
+
+    /**
+     * Add a hand-entered filament to the inventory
+     */
+    handleCustomFilamentSubmit(event) {
+        event.preventDefault();
+        const form = new FormData(event.target);
+
+        try {
+            const filament = window.FilamentLibrary.normalize({
+                vendor: form.get('vendor'),
+                name: form.get('name'),
+                hex: form.get('hex'),
+                td: form.get('td')
+            });
+            this.addFilamentsToInventory([filament]);
+            event.target.reset();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Import filaments from a JSON or CSV file
+     */
+    async handleFilamentImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const filaments = window.FilamentLibrary.parse(await file.text(), file.name);
+            const added = this.addFilamentsToInventory(filaments);
+            console.log(`Imported ${added} of ${filaments.length} filaments from ${file.name}`);
+        } catch (error) {
+            console.error('Filament import failed:', error);
+            this.showError(`Could not import filaments: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Download the inventory as JSON or CSV
+     * @param {string} format - 'json' or 'csv'
+     */
+    exportFilaments(format) {
+        const isCsv = format === 'csv';
+        const text = isCsv
+            ? window.FilamentLibrary.toCSV(this.filamentInventory)
+            : window.FilamentLibrary.toJSON(this.filamentInventory);
+        const blob = new Blob([text], { type: isCsv ? 'text/csv' : 'application/json' });
+        this.downloadBlob(blob, `polyhue-filaments.${isCsv ? 'csv' : 'json'}`);
+    }
+
+    /**
+     * Replace every palette color with the closest owned filament
+     */
+    async snapPaletteToFilaments() {
+        if (this.filamentInventory.length === 0) {
+            this.showError('Add the filaments you own to the inventory first.');
+            return;
+        }
+        if (this.state.colors.length === 0) return;
+
+        const matches = window.FilamentLibrary.snapToFilaments(
+            this.state.colors.map(color => color.rgb),
+            this.filamentInventory,
+            this.state.colorMapping.metric
+        );
+
+        const before = this.captureEditState();
+        this.state.colors.forEach((color, index) => {
+            const filament = matches[index];
+            color.hex = filament.hex;
+            color.rgb = window.ImageProcessor.hexToRgb(filament.hex);
+            color.td = filament.td;
+            color.filament = { vendor: filament.vendor, name: filament.name };
+            color.custom = true;
+        });
+
+        // With fewer filaments than colors some share one; a second layer of the
+        // same filament would print nothing, so fold it into the first
+        const kept = new Map();
+        const merged = [];
+        this.state.colors = this.state.colors.filter((color, index) => {
+            const first = kept.get(matches[index].id);
+            if (!first) {
+                kept.set(matches[index].id, color);
+                return true;
+            }
+            first.percent += color.percent;
+            merged.push(color);
+            return false;
+        });
+        this.state.colors.forEach((color, index) => {
+            color.order = index;
+        });
+        this.state.isDirty = true;
+
+        // Without targets, coverage follows the new palette
+        if (!this.state.colorMapping.enforceCoverage) {
+            await this.recalculatePercentages();
+        }
+        this.recordEdit('Snap to filaments', before);
+        this.updateUI();
+
+        if (merged.length > 0) {
+            const names = [...new Set(merged.map(color => this.getFilamentLabel(color)))];
+            this.showError(`You own fewer filaments than palette colors, so ${merged.length} ` +
+                `${merged.length === 1 ? 'color was' : 'colors were'} merged into ${names.join(', ')}.`);
+        }
+    }
+
+    /**
+     * Handle filament TD edits
+     */
+    handleColorTdChange(event) {
+        const colorId = parseInt(event.target.dataset.colorId);
+        const td = parseFloat(event.target.value);
+        const color = this.state.colors.find(c => c.id === colorId);
+
+        if (color && !isNaN(td) && td > 0) {
+            const before = this.captureEditState();
+            color.td = td;
+            this.state.isDirty = true;
+            this.recordEdit('Change filament TD', before, `td-${colorId}`);
+            if (this.state.tdLayering.enabled) {
+                this.updateColorPreview();
+            }
+        } else if (color) {
+            event.target.value = color.td;
+        }
+    }
+
+    /**
+     * Show how many print layers each filament gets in the TD stack
+     * @param {Object|null} stack - TdLayering.buildStack() result, null to hide the counts
+     */
+    updateLayerCountDisplays(stack) {
+        this.state.colors.forEach(color => {
+            const colorItem = this.elements.colorList.querySelector(`.color-item[data-color-id="${color.id}"]`);
+            const display = colorItem?.querySelector('.color-layer-count');
+            if (!display) return;
+
+            const filament = stack?.filaments.find(f => f.id === color.id);
+            display.textContent = filament ? `${filament.layerCount} layers` : '';
+            display.hidden = !filament;
+        });
+    }
+
+    /**
+     * Show achieved coverage next to each requested percentage
+     * @param {Float64Array|null} coverage - Achieved coverage per color (0-100), null when targets are off
+     */
+    updateCoverageDisplays(coverage) {
+        this.state.colors.forEach((color, index) => {
+            const colorItem = this.elements.colorList.querySelector(`.color-item[data-color-id="${color.id}"]`);
+            const achieved = colorItem?.querySelector('.color-coverage-achieved');
+            if (!achieved) return;
+
+            if (coverage) {
+                const value = Math.round(coverage[index]);
+                achieved.textContent = `achieved ${value}%`;
+                achieved.classList.toggle('off-target', Math.abs(value - color.percent) > 2);
+                achieved.hidden = false;
+            } else {
+                achieved.hidden = true;
+            }
+        });
+    }
+
+    /**
+     * Handle color deletion
+     */
+    async handleColorDelete(event) {
+        const colorId = parseInt(event.target.dataset.colorId);
+        
+        // Don't allow deleting the last color
+        if (this.state.colors.length <= 1) {
+            this.showError('You must have at least one color.');
+            return;
+        }
+        
+        // Remove the color
+        const before = this.captureEditState();
+        this.state.colors = this.state.colors.filter(c => c.id !== colorId);
+        
+        // Update order indices
+        this.state.colors.forEach((color, index) => {
+            color.order = index;
+        });
+        
+        // Redistribute percentages
+        await this.recalculatePercentages();
+        this.recordEdit('Delete color', before);
+        
+        // Update the color count controls to reflect the new count
+        if (this.elements.colorCount) {
+            this.elements.colorCount.value = this.state.colors.length;
+        }
+        if (this.elements.colorCountValue) {
+            this.elements.colorCountValue.textContent = this.state.colors.length;
+        }
+
+        // Update the display
+        this.updateColorEditor();
+        this.updateColorPreview();
+        this.updateUI();
+    }
+
+    /**
+     * Handle color item drag start
+     */
+    handleColorDragStart(event) {
+        const colorItem = event.currentTarget;
+        const colorId = parseInt(colorItem.dataset.colorId);
+        
+        colorItem.classList.add('dragging');
+        event.dataTransfer.setData('text/plain', colorId.toString());
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    /**
+     * Handle color item drag over
+     */
+    handleColorDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        
+        const colorItem = event.currentTarget;
+        const draggingItem = this.elements.colorList.querySelector('.dragging');
+        
+        if (colorItem !== draggingItem) {
+            const rect = colorItem.getBoundingClientRect();
+            const midpoint = rect.top + rect.height / 2;
+            
+            if (event.clientY < midpoint) {
+                colorItem.style.borderTop = '2px solid var(--color-primary)';
+                colorItem.style.borderBottom = '';
+            } else {
+                colorItem.style.borderBottom = '2px solid var(--color-primary)';
+                colorItem.style.borderTop = '';
+            }
+        }
+    }
+
+    /**
+     * Handle color item drop
+     */
+    handleColorDrop(event) {
+        event.preventDefault();
+        
+        const draggedColorId = parseInt(event.dataTransfer.getData('text/plain'));
+        const targetItem = event.currentTarget;
+        const targetColorId = parseInt(targetItem.dataset.colorId);
+        
+        if (draggedColorId !== targetColorId) {
+            this.reorderColors(draggedColorId, targetColorId, event);
+        }
+        
+        // Clear visual indicators
+        this.clearDragIndicators();
+    }
+
+    /**
+     * Handle color item drag end
+     */
+    handleColorDragEnd(event) {
+        const colorItem = event.currentTarget;
+        colorItem.classList.remove('dragging');
+        colorItem.draggable = false; // Disable dragging after drag operation
+        this.clearDragIndicators();
+    }
+
+    /**
+     * Clear drag visual indicators
+     */
+    clearDragIndicators() {
+        this.elements.colorList.querySelectorAll('.color-item').forEach(item => {
+            item.style.borderTop = '';
+            item.style.borderBottom = '';
+            item.classList.remove('dragging');
+        });
+    }
+
+    /**
+     * Reorder colors based on drag and drop
+     */
+    reorderColors(draggedColorId, targetColorId, event) {
+        const draggedIndex = this.state.colors.findIndex(c => c.id === draggedColorId);
+        const targetIndex = this.state.colors.findIndex(c => c.id === targetColorId);
+        
+        if (draggedIndex === -1 || targetIndex === -1) return;
+        
+        const before = this.captureEditState();
+
+        // Remove dragged color from array
+        const [draggedColor] = this.state.colors.splice(draggedIndex, 1);
+        
+        // Determine insertion point based on drop position
+        const targetItem = event.currentTarget;
+        const rect = targetItem.getBoundingClientRect();
+        const midpoint = rect.top + rect.height / 2;
         const dropAbove = event.clientY < midpoint;
         
         let insertIndex = targetIndex;
@@ -891,6 +1570,7 @@ class PolyHueApp {
         this.state.colors.forEach((color, index) => {
             color.order = index;
         });
+        this.recordEdit('Reorder colors', before);
         
         // Update display
         this.updateColorEditor();
@@ -936,61 +1616,85 @@ class PolyHueApp {
      */
     drawQuantizedImage(canvas, ctx) {
         const img = new Image();
-        img.onload = () => {
+        img.onload = async () => {
+            const { width, height } = canvas;
+            const requestId = ++this.previewRequestId;
+
             // Draw original image first
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0, width, height);
             
             // Get image data
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imageData.data;
-            
-            // Quantize each pixel to the nearest color in our palette
-            for (let i = 0; i < data.length; i += 4) {
-                const r = data[i];
-                const g = data[i + 1];
-                const b = data[i + 2];
-                const a = data[i + 3];
-                
-                // Skip transparent pixels
-                if (a < 128) continue;
-                
-                // Find closest color in palette
-                const closestColor = this.findClosestColor(r, g, b);
-                if (closestColor) {
-                    data[i] = closestColor.rgb.r;
-                    data[i + 1] = closestColor.rgb.g;
-                    data[i + 2] = closestColor.rgb.b;
+            const imageData = ctx.getImageData(0, 0, width, height);
+
+            try {
+                // Recolor each pixel in the worker: its assigned palette color, or the
+                // color the filament stack shows at its layer count (HueForge-style)
+                let task;
+                let coverage = null;
+                let stack = null;
+
+                if (this.state.tdLayering.enabled) {
+                    stack = this.createTdStack();
+                    task = { stack, metric: this.state.colorMapping.metric };
+                } else {
+                    const mapping = await this.prepareColorMapping();
+                    coverage = mapping.coverage;
+                    task = { palette: mapping.palette, metric: mapping.metric, ...mapping.mapOptions };
                 }
+
+                const result = await this.imageWorker.request('render-preview', {
+                    ...task,
+                    pixels: imageData.data,
+                    width,
+                    height
+                }, {
+                    onProgress: progress => this.updateLoadingProgress(progress),
+                    transfer: [imageData.data.buffer]
+                });
+
+                // A newer edit has started its own preview
+                if (requestId !== this.previewRequestId) return;
+                
+                // Draw the quantized image
+                ctx.putImageData(new ImageData(result.pixels, width, height), 0, 0);
+                this.updateCoverageDisplays(coverage);
+                this.updateLayerCountDisplays(stack);
+            } catch (error) {
+                console.error('Failed to render color preview:', error);
             }
-            
-            // Draw the quantized image
-            ctx.putImageData(imageData, 0, 0);
         };
         img.src = this.state.image.src;
     }
 
     /**
-     * Find the closest color in the current palette
+     * Resolve the palette and coverage bias for the current colors and mapping settings.
+     * The bias is solved once per palette/targets combination and reused by the
+     * 2D preview and the 3D color map so both assign pixels identically.
+     * @returns {Promise<{palette: Array<RGB>, metric: string, coverage: Float64Array|null, mapOptions: Object}>}
+     *          Palette and metric to match with, achieved coverage (null when targets are off)
+     *          and the mapping options (bias, dithering, ditherStrength) for ColorMapper.mapPixels()
      */
-    findClosestColor(r, g, b) {
-        if (!this.state.colors || this.state.colors.length === 0) return null;
-        
-        let minDistance = Infinity;
-        let closestColor = null;
-        
-        this.state.colors.forEach(color => {
-            const dr = r - color.rgb.r;
-            const dg = g - color.rgb.g;
-            const db = b - color.rgb.b;
-            const distance = dr * dr + dg * dg + db * db; // Squared Euclidean distance
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestColor = color;
-            }
-        });
-        
-        return closestColor;
+    async prepareColorMapping() {
+        const { metric, enforceCoverage, dithering, ditherStrength } = this.state.colorMapping;
+        const palette = this.state.colors.map(color => color.rgb);
+
+        if (!enforceCoverage || !this.state.image?.data) {
+            return { palette, metric, coverage: null, mapOptions: { bias: null, dithering, ditherStrength } };
+        }
+
+        const key = JSON.stringify([metric, this.state.colors.map(color => [color.hex, color.percent])]);
+        if (!this.coverageSolution || this.coverageSolution.key !== key) {
+            const targets = this.state.colors.map(color => color.percent);
+            const { bias, coverage } = await this.runImageTask('solve-coverage', { palette, metric, targets });
+            this.coverageSolution = { key, bias, coverage };
+        }
+
+        return {
+            palette,
+            metric,
+            coverage: this.coverageSolution.coverage,
+            mapOptions: { bias: this.coverageSolution.bias, dithering, ditherStrength }
+        };
     }
 
     /**
@@ -1039,6 +1743,14 @@ class PolyHueApp {
         const newCount = parseInt(this.elements.colorCount?.value || window.APP_CONSTANTS.DEFAULT_COLOR_COUNT);
         const currentCount = this.state.colors.length;
         
+        // A fixed palette keeps exactly the colors the user supplied
+        if (this.state.paletteLocked) {
+            if (this.elements.colorCount) {
+                this.elements.colorCount.value = currentCount;
+            }
+            return;
+        }
+        
         if (this.elements.colorCountValue) {
             this.elements.colorCountValue.textContent = newCount;
         }
@@ -1050,14 +1762,16 @@ class PolyHueApp {
         
         try {
             this.showLoading('Updating colors...');
+            const before = this.captureEditState();
             
             if (newCount > currentCount) {
                 // Adding colors - preserve existing ones and add new ones
                 await this.addColors(newCount - currentCount);
             } else {
                 // Removing colors - remove from the end, preserving custom colors
-                this.removeColors(currentCount - newCount);
+                await this.removeColors(currentCount - newCount);
             }
+            this.recordEdit('Change color count', before, 'color-count');
             
             this.updateColorEditor();
             this.hideLoading();
@@ -1076,7 +1790,7 @@ class PolyHueApp {
         if (!this.state.image || !this.state.image.src) {
             // No image, just add default colors
             for (let i = 0; i < countToAdd; i++) {
-                this.addDefaultColor();
+                await this.addDefaultColor();
             }
             return;
         }
@@ -1086,40 +1800,17 @@ class PolyHueApp {
         let newColors = [];
 
         try {
-            if (window.ColorThief) {
-                const tempImg = new Image();
-                tempImg.crossOrigin = 'anonymous';
-                
-                const newColorsPromise = new Promise((resolve, reject) => {
-                    tempImg.onload = () => {
-                        try {
-                            const colorThief = new window.ColorThief();
-                            // Get more colors than we need to have options
-                            const paletteRgb = colorThief.getPalette(tempImg, Math.min(totalNeeded + 5, 16));
-                            
-                            // Find colors that are different from existing ones
-                            const existingHexColors = this.state.colors.map(c => c.hex.toLowerCase());
-                            const candidateColors = paletteRgb
-                                .map((rgb, index) => ({
-                                    hex: window.ImageProcessor.rgbToHex(rgb[0], rgb[1], rgb[2]),
-                                    rgb: { r: rgb[0], g: rgb[1], b: rgb[2] }
-                                }))
-                                .filter(color => !existingHexColors.includes(color.hex.toLowerCase()));
-
-                            resolve(candidateColors.slice(0, countToAdd));
-                        } catch (error) {
-                            reject(error);
-                        }
-                    };
-                    
-                    tempImg.onerror = () => reject(new Error('Failed to load image'));
-                    tempImg.src = this.state.image.src;
-                });
-                
-                newColors = await newColorsPromise;
-            }
+            // Quantize to a larger palette to have options, then keep colors we don't already have
+            const existingHexColors = this.state.colors.map(c => c.hex.toLowerCase());
+            newColors = (await this.extractPalette(Math.min(totalNeeded + 5, window.APP_CONSTANTS.QUANTIZATION_COLORS)))
+                .map(entry => ({
+                    hex: window.ImageProcessor.rgbToHex(entry.r, entry.g, entry.b),
+                    rgb: { r: entry.r, g: entry.g, b: entry.b }
+                }))
+                .filter(color => !existingHexColors.includes(color.hex.toLowerCase()))
+                .slice(0, countToAdd);
         } catch (error) {
-            console.warn('ColorThief failed, using fallback color generation:', error);
+            console.warn('Quantization failed, using fallback color generation:', error);
         }
 
         // Fill remaining slots with generated colors if needed
@@ -1137,19 +1828,20 @@ class PolyHueApp {
                 percent: 0, // Will be recalculated
                 custom: false,
                 height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / (this.state.colors.length + countToAdd),
-                order: this.state.colors.length + index
+                order: this.state.colors.length + index,
+                td: window.APP_CONSTANTS.DEFAULT_FILAMENT_TD
             };
             this.state.colors.push(newColor);
         });
 
         // Recalculate percentages
-        this.recalculatePercentages();
+        await this.recalculatePercentages();
     }
 
     /**
      * Remove colors from the end, but preserve custom colors
      */
-    removeColors(countToRemove) {
+    async removeColors(countToRemove) {
         if (countToRemove >= this.state.colors.length) {
             // Don't remove all colors
             countToRemove = this.state.colors.length - 1;
@@ -1174,7 +1866,7 @@ class PolyHueApp {
         });
 
         // Recalculate percentages
-        this.recalculatePercentages();
+        await this.recalculatePercentages();
     }
 
     /**
@@ -1208,7 +1900,7 @@ class PolyHueApp {
     /**
      * Add a default color
      */
-    addDefaultColor() {
+    async addDefaultColor() {
         const maxId = Math.max(0, ...this.state.colors.map(c => c.id));
         const colorData = this.generateUniqueColor();
         
@@ -1219,40 +1911,183 @@ class PolyHueApp {
             percent: 0, // Will be recalculated
             custom: false,
             height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / (this.state.colors.length + 1),
-            order: this.state.colors.length
+            order: this.state.colors.length,
+            td: window.APP_CONSTANTS.DEFAULT_FILAMENT_TD
         };
         
         this.state.colors.push(newColor);
-        this.recalculatePercentages();
+        await this.recalculatePercentages();
     }
 
     /**
-     * Recalculate color percentages
+     * Recalculate color percentages from each color's natural coverage of the image
      */
-    recalculatePercentages() {
+    async recalculatePercentages() {
         const count = this.state.colors.length;
         if (count === 0) return;
+
+        // Percentages become a measurement again, not assignment targets
+        this.state.colorMapping.enforceCoverage = false;
+        this.updateColorMappingControls();
+
+        if (this.state.image?.data) {
+            const colors = [...this.state.colors];
+            const coverage = await this.runImageTask('measure-coverage', {
+                palette: colors.map(color => color.rgb),
+                metric: this.state.colorMapping.metric
+            });
+            const percents = window.ColorMapper.toPercentages(coverage);
+
+            colors.forEach((color, index) => {
+                color.percent = percents[index];
+            });
+            return;
+        }
         
-        // Distribute percentages evenly, but preserve any custom percentages if possible
+        // No image to measure: distribute percentages evenly
         const evenPercent = Math.floor(100 / count);
         const remainder = 100 - (evenPercent * count);
         
-                 this.state.colors.forEach((color, index) => {
-             color.percent = evenPercent + (index < remainder ? 1 : 0);
-         });
-     }
+        this.state.colors.forEach((color, index) => {
+            color.percent = evenPercent + (index < remainder ? 1 : 0);
+        });
+    }
 
      /**
-      * Re-analyze the image to extract fresh colors
+      * Handle quantization algorithm / seed changes
       */
-     async reanalyzeImage() {
-         if (!this.state.image || !this.state.image.src) {
-             this.showError('No image available to analyze. Please upload an image first.');
-             return;
+     async handleQuantizationChange() {
+         const before = this.captureEditState();
+         const previous = { ...this.state.quantization };
+         const seed = parseInt(this.elements.quantizationSeed?.value, 10);
+
+         this.state.quantization = {
+             algorithm: this.elements.quantizationAlgorithm?.value || previous.algorithm,
+             seed: isNaN(seed) ? previous.seed : seed
+         };
+
+         const applied = await this.reanalyzeImage();
+         if (applied) {
+             this.recordEdit('Change quantization', before);
+         } else {
+             // Keep the controls in sync with the palette that is still shown
+             this.state.quantization = previous;
+             this.updateQuantizationControls();
          }
+     }
 
-         // Get current color count to maintain the same number
-         const currentColorCount = this.state.colors.length;
+     /**
+      * Reflect quantization settings in the step 2 controls
+      */
+     updateQuantizationControls() {
+         if (this.elements.quantizationAlgorithm) {
+             this.elements.quantizationAlgorithm.value = this.state.quantization.algorithm;
+         }
+         if (this.elements.quantizationSeed) {
+             this.elements.quantizationSeed.value = this.state.quantization.seed;
+         }
+     }
+
+     /**
+      * Handle pixel-to-palette distance metric changes
+      */
+     async handleColorMetricChange() {
+         const before = this.captureEditState();
+         this.state.colorMapping.metric = this.elements.colorMetric.value;
+
+         // Natural coverage depends on the metric; targets are kept as-is
+         if (!this.state.colorMapping.enforceCoverage) {
+             await this.recalculatePercentages();
+         }
+         this.recordEdit('Change color metric', before);
+         this.updateColorEditor();
+     }
+
+     /**
+      * Handle the coverage targets toggle
+      */
+     async handleEnforceCoverageChange() {
+         const before = this.captureEditState();
+         if (this.elements.enforceCoverage.checked) {
+             this.state.colorMapping.enforceCoverage = true;
+         } else {
+             await this.recalculatePercentages();
+         }
+         this.recordEdit('Toggle coverage targets', before);
+         this.updateColorEditor();
+     }
+
+     /**
+      * Handle dithering mode / strength changes
+      */
+     handleDitheringChange() {
+         const before = this.captureEditState();
+         this.state.colorMapping.dithering = this.elements.ditheringMode?.value || window.DITHERING_MODES.NONE;
+         this.state.colorMapping.ditherStrength = parseInt(this.elements.ditherStrength?.value || 100, 10) / 100;
+         this.recordEdit('Change dithering', before, 'dithering');
+         this.updateColorMappingControls();
+
+         clearTimeout(this.previewTimeout);
+         this.previewTimeout = setTimeout(() => {
+             this.updateColorPreview();
+         }, window.APP_CONSTANTS.PREVIEW_DEBOUNCE_DELAY);
+     }
+
+     /**
+      * Handle the filament blend toggle
+      */
+     handleTdLayeringChange() {
+         const before = this.captureEditState();
+
+         this.state.tdLayering.enabled = !!this.elements.tdPreview?.checked;
+         this.recordEdit('Change filament blend preview', before);
+         this.updateColorMappingControls();
+         this.updateColorPreview();
+     }
+
+     /**
+      * Reflect color mapping settings in the step 2 controls
+      */
+     updateColorMappingControls() {
+         if (this.elements.colorMetric) {
+             this.elements.colorMetric.value = this.state.colorMapping.metric;
+         }
+         if (this.elements.enforceCoverage) {
+             this.elements.enforceCoverage.checked = this.state.colorMapping.enforceCoverage;
+         }
+         if (this.elements.ditheringMode) {
+             this.elements.ditheringMode.value = this.state.colorMapping.dithering;
+         }
+         if (this.elements.tdPreview) {
+             this.elements.tdPreview.checked = this.state.tdLayering.enabled;
+         }
+         if (this.elements.ditherStrength) {
+             const strength = Math.round(this.state.colorMapping.ditherStrength * 100);
+             this.elements.ditherStrength.value = strength;
+             this.elements.ditherStrength.disabled = this.state.colorMapping.dithering === window.DITHERING_MODES.NONE;
+             if (this.elements.ditherStrengthValue) {
+                 this.elements.ditherStrengthValue.textContent = `${strength}%`;
+             }
+         }
+     }
+
+     /**
+      * Re-analyze the image to extract fresh colors
+      * @returns {Promise<boolean>} Whether the palette was replaced
+      */
+     async reanalyzeImage() {
+         if (!this.state.image || !this.state.image.src) {
+             this.showError('No image available to analyze. Please upload an image first.');
+             return false;
+         }
+
+         if (this.state.paletteLocked) {
+             this.showError('The palette is fixed. Unlock it to extract colors from the image again.');
+             return false;
+         }
+
+         // Get current color count to maintain the same number
+         const currentColorCount = this.state.colors.length;
 
          // Confirm with user if they have custom colors
          const hasCustomColors = this.state.colors.some(color => color.custom);
@@ -1262,60 +2097,17 @@ class PolyHueApp {
                  'Your custom color changes will be lost. Are you sure you want to continue?'
              );
              if (!confirmed) {
-                 return;
+                 return false;
              }
          }
 
          try {
              this.showLoading('Re-analyzing image colors...');
 
-             // Extract colors using ColorThief if available
-             if (window.ColorThief) {
-                 const tempImg = new Image();
-                 tempImg.crossOrigin = 'anonymous';
-                 
-                 const extractColorsPromise = new Promise((resolve, reject) => {
-                     tempImg.onload = () => {
-                         try {
-                             const colorThief = new window.ColorThief();
-                             const paletteRgb = colorThief.getPalette(tempImg, currentColorCount);
-                             
-                             // Convert to our color format
-                             const newColors = paletteRgb.map((rgb, index) => ({
-                                 id: index,
-                                 hex: window.ImageProcessor.rgbToHex(rgb[0], rgb[1], rgb[2]),
-                                 rgb: { r: rgb[0], g: rgb[1], b: rgb[2] },
-                                 percent: Math.round(100 / paletteRgb.length),
-                                 custom: false,
-                                 height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / paletteRgb.length,
-                                 order: index
-                             }));
-                             
-                             resolve(newColors);
-                         } catch (error) {
-                             reject(error);
-                         }
-                     };
-                     
-                     tempImg.onerror = () => reject(new Error('Failed to load image for analysis'));
-                     tempImg.src = this.state.image.src;
-                 });
-                 
-                 this.state.colors = await extractColorsPromise;
-                 
-             } else {
-                 // Fallback to simple extraction method
-                 if (this.state.image.canvas && this.state.image.canvas.width > 0 && this.state.image.canvas.height > 0) {
-                     const canvasContext = this.state.image.canvas.getContext('2d');
-                     const pixelData = canvasContext.getImageData(0, 0, this.state.image.width, this.state.image.height);
-                     this.state.colors = window.ImageProcessor.extractColors(pixelData, currentColorCount);
-                 } else {
-                     throw new Error('No image data available for analysis');
-                 }
-             }
+             this.state.colors = this.createColorRegions(await this.extractPalette(currentColorCount));
 
              // Ensure proper percentage distribution
-             this.recalculatePercentages();
+             await this.recalculatePercentages();
 
              // Update the color count controls to reflect the extracted colors
              if (this.elements.colorCount) {
@@ -1332,16 +2124,122 @@ class PolyHueApp {
              this.hideLoading();
              
              console.log(`Re-analyzed image and extracted ${this.state.colors.length} fresh colors`);
+             return true;
              
          } catch (error) {
              this.hideLoading();
              console.error('Failed to re-analyze image:', error);
              this.showError(`Failed to re-analyze image: ${error.message}`);
+             return false;
          }
      }
 
 
 
+    /**
+     * Apply the palette typed or pasted into the fixed palette box
+     */
+    async handleFixedPaletteApply() {
+        try {
+            await this.applyFixedPalette(window.FilamentLibrary.parsePalette(this.elements.fixedPaletteInput?.value || ''));
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Load a fixed palette from a file (hex list, GIMP .gpl, filament JSON/CSV)
+     */
+    async handlePaletteFileLoad(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const palette = window.FilamentLibrary.parsePalette(await file.text(), file.name);
+            if (this.elements.fixedPaletteInput) {
+                this.elements.fixedPaletteInput.value = palette.map(entry => entry.hex).join('\n');
+            }
+            await this.applyFixedPalette(palette);
+        } catch (error) {
+            console.error('Palette file load failed:', error);
+            this.showError(`Could not load palette: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Replace the palette with exactly the supplied colors and lock it
+     * against re-analysis and color count changes
+     * @param {Array<{hex: string, td?: number, vendor?: string, name?: string}>} palette - Colors in layer order
+     */
+    async applyFixedPalette(palette) {
+        const maxColors = window.APP_CONSTANTS.MAX_COLOR_COUNT;
+        if (palette.length > maxColors) {
+            throw new Error(`A fixed palette can have at most ${maxColors} colors (got ${palette.length}).`);
+        }
+
+        const before = this.captureEditState();
+        this.state.colors = palette.map((entry, index) => {
+            const color = {
+                id: index,
+                hex: entry.hex,
+                rgb: window.ImageProcessor.hexToRgb(entry.hex),
+                percent: 0, // Will be recalculated
+                custom: true,
+                height: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT / palette.length,
+                order: index,
+                td: entry.td || window.APP_CONSTANTS.DEFAULT_FILAMENT_TD
+            };
+            if (entry.vendor || entry.name) {
+                color.filament = { vendor: entry.vendor, name: entry.name };
+            }
+            return color;
+        });
+        this.state.paletteLocked = true;
+        this.state.isDirty = true;
+
+        await this.recalculatePercentages();
+        this.recordEdit('Apply fixed palette', before);
+        this.updatePaletteLockControls();
+        this.updateColorEditor();
+    }
+
+    /**
+     * Allow re-analysis and color count changes again, keeping the current colors
+     */
+    unlockPalette() {
+        const before = this.captureEditState();
+        this.state.paletteLocked = false;
+        this.recordEdit('Unlock palette', before);
+        this.updatePaletteLockControls();
+    }
+
+    /**
+     * Disable palette-replacing controls while a fixed palette is locked
+     */
+    updatePaletteLockControls() {
+        const locked = this.state.paletteLocked;
+
+        [
+            this.elements.colorCount,
+            this.elements.decreaseColorsBtn,
+            this.elements.increaseColorsBtn,
+            this.elements.reanalyzeImageBtn,
+            this.elements.quantizationAlgorithm,
+            this.elements.quantizationSeed
+        ].forEach(control => {
+            if (control) control.disabled = locked;
+        });
+
+        if (this.elements.unlockPaletteBtn) {
+            this.elements.unlockPaletteBtn.hidden = !locked;
+        }
+        if (this.elements.paletteLockStatus) {
+            this.elements.paletteLockStatus.textContent = locked ? '🔒 Palette locked' : '';
+        }
+    }
+
     /**
      * Handle color changes (placeholder)
      */
@@ -1362,32 +2260,58 @@ class PolyHueApp {
      */
     async handleExport(format) {
         try {
-            if (!this.threeScene || !this.model3D) {
-                this.showError('Please generate the 3D model first.');
+            // Flat images are drawn from the color map and need no 3D model
+            const isFlat = ['png', 'masks', 'svg'].includes(format);
+            if (isFlat ? !this.state.image : (!this.threeScene || !this.model3D)) {
+                this.showError(isFlat ? 'Please upload an image first.' : 'Please generate the 3D model first.');
                 return;
             }
 
+            if (!(await this.promptExportDetails(format))) {
+                return;
+            }
+
+            // Flat images don't go to a slicer
+            if (!isFlat) {
+                this.showLoading('Checking model for printing problems...');
+                if (!(await this.confirmPrintableModel())) {
+                    this.hideLoading();
+                    return;
+                }
+            }
+
             this.showLoading(`Exporting ${format.toUpperCase()} file...`);
             
-            const filename = this.state.image?.fileName ? 
-                this.state.image.fileName.replace(/\.[^/.]+$/, "") : 
-                'polyhue-model';
+            const filename = this.getExportFilename();
+            const metadata = this.getExportMetadata();
 
             switch (format) {
                 case 'stl':
-                    await this.exportSTL(filename);
+                    await this.exportSTL(filename, metadata);
                     break;
                 case 'glb':
-                    await this.exportGLB(filename);
+                    await this.exportGLB(filename, metadata);
                     break;
                 case 'obj':
-                    await this.exportOBJ(filename);
+                    await this.exportOBJ(filename, metadata);
                     break;
                 case 'png':
-                    await this.exportPNG(filename);
+                    await this.exportPNG(filename, metadata);
+                    break;
+                case 'masks':
+                    await this.exportMasks(filename, metadata);
+                    break;
+                case 'svg':
+                    await this.exportSVG(filename, metadata);
                     break;
                 case 'zip':
-                    await this.exportZIP(filename);
+                    await this.exportZIP(filename, metadata);
+                    break;
+                case '3mf':
+                    if (!this.featureFlags.is3mfEnabled) {
+                        throw new Error('3MF export is a beta feature; enable it below the export buttons first');
+                    }
+                    await this.export3MF(filename, metadata);
                     break;
                 default:
                     throw new Error(`Unsupported export format: ${format}`);
@@ -1402,31 +2326,154 @@ class PolyHueApp {
     }
 
     /**
-     * Start over / reset application
+     * Ask for the file name and the title, author and description written
+     * into the exported files. The answers are kept for the next export.
+     * @param {string} format - Export format, for the dialog heading
+     * @returns {Promise<boolean>} False when the user cancels
      */
-    startOver() {
-        if (this.state.isDirty) {
-            if (!confirm('Are you sure you want to start over? All changes will be lost.')) {
-                return;
-            }
+    async promptExportDetails(format) {
+        const { exportDialog } = this.elements;
+        if (!exportDialog || typeof exportDialog.showModal !== 'function') {
+            return true;
         }
 
-        // Reset state
-        this.state = {
+        const settings = this.state.exportSettings;
+        this.elements.exportDialogTitle.textContent = `Export ${format.toUpperCase()}`;
+        this.elements.exportFilename.value = settings.filename || this.getDefaultExportFilename();
+        this.elements.exportTitle.value = settings.title || '';
+        this.elements.exportAuthor.value = settings.author || '';
+        this.elements.exportDescription.value = settings.description || '';
+        this.elements.exportSoftware.textContent = 'PolyHue';
+        this.elements.exportCreated.textContent = new Date().toLocaleString();
+
+        exportDialog.returnValue = '';
+        exportDialog.showModal();
+        await new Promise(resolve => exportDialog.addEventListener('close', resolve, { once: true }));
+
+        if (exportDialog.returnValue !== 'export') {
+            return false;
+        }
+
+        const before = this.captureEditState();
+        settings.filename = this.elements.exportFilename.value.trim();
+        settings.title = this.elements.exportTitle.value.trim();
+        settings.author = this.elements.exportAuthor.value.trim();
+        settings.description = this.elements.exportDescription.value.trim();
+        this.recordEdit('Edit export details', before);
+        return true;
+    }
+
+    /**
+     * Base name shared by every file of an export, without extension
+     * @returns {string} File name safe on common file systems
+     */
+    getExportFilename() {
+        const name = (this.state.exportSettings.filename || '')
+            .replace(/[\\/:*?"<>|]+/g, '-')
+            .replace(/\.+$/, '')
+            .trim();
+        return name || this.getDefaultExportFilename();
+    }
+
+    /**
+     * Export name when none was entered: the uploaded image's base name
+     */
+    getDefaultExportFilename() {
+        return this.state.image?.fileName ?
+            this.state.image.fileName.replace(/\.[^/.]+$/, "") :
+            'polyhue-model';
+    }
+
+    /**
+     * Metadata embedded in GLB, 3MF, OBJ, PNG and SVG exports
+     * @returns {ExportConfiguration['metadata']}
+     */
+    getExportMetadata() {
+        const { title, author, description } = this.state.exportSettings;
+        return {
+            title: title || this.getExportFilename(),
+            author: author || undefined,
+            description: description || undefined,
+            created: new Date(),
+            software: 'PolyHue'
+        };
+    }
+
+    /**
+     * State of a fresh project with every setting at its default
+     * @returns {ProjectState}
+     */
+    createInitialState() {
+        return {
             image: null,
             colors: [],
+            paletteLocked: false,
             totalHeight: window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT,
+            dimensions: {
+                width: window.APP_CONSTANTS.DEFAULT_MODEL_SIZE,
+                height: window.APP_CONSTANTS.DEFAULT_MODEL_SIZE,
+                lockAspect: true,
+                units: window.LENGTH_UNITS.MM
+            },
             currentStep: 1,
+            quantization: {
+                algorithm: window.APP_CONSTANTS.DEFAULT_QUANTIZATION_ALGORITHM,
+                seed: window.APP_CONSTANTS.DEFAULT_QUANTIZATION_SEED
+            },
+            colorMapping: {
+                metric: window.APP_CONSTANTS.DEFAULT_COLOR_METRIC,
+                enforceCoverage: false,
+                dithering: window.DITHERING_MODES.NONE,
+                ditherStrength: 1
+            },
+            tdLayering: {
+                enabled: false
+            },
+            swapTable: {
+                layerHeight: window.APP_CONSTANTS.DEFAULT_PRINT_LAYER_HEIGHT,
+                firstLayerHeight: window.APP_CONSTANTS.DEFAULT_FIRST_LAYER_HEIGHT,
+                macro: 'M600'
+            },
+            modelMode: window.COLOR_MODES.COLOR,
+            lithophane: {
+                minThickness: window.APP_CONSTANTS.DEFAULT_LITHOPHANE_MIN_THICKNESS,
+                maxThickness: window.APP_CONSTANTS.DEFAULT_LITHOPHANE_MAX_THICKNESS,
+                invert: false,
+                backing: window.LITHOPHANE_BACKINGS.FLAT,
+                curveAngle: window.APP_CONSTANTS.DEFAULT_LITHOPHANE_CURVE_ANGLE
+            },
             exportSettings: {
                 format: 'stl',
                 quality: 'medium',
                 includeColors: true,
                 optimize: true,
-                scale: 1.0
+                scale: 1.0,
+                splitByColor: false,
+                stlFormat: 'binary'
             },
             isDirty: false,
             lastModified: new Date()
         };
+    }
+
+    /**
+     * Start over / reset application
+     */
+    startOver() {
+        if (this.state.isDirty) {
+            if (!confirm('Are you sure you want to start over? All changes will be lost.')) {
+                return;
+            }
+        }
+
+        // Save pending edits first; the autosaved copy stays in the recent projects
+        if (this.autosaveTimeout) this.autosave();
+
+        // Reset state
+        this.state = this.createInitialState();
+        this.projectId = null;
+        this.history.clear();
+        this.renderHistory();
 
         // Reset UI
         if (this.elements.imageInput) {
@@ -1444,6 +2491,375 @@ class PolyHueApp {
         this.updateUI();
     }
 
+    /**
+     * Download the current project as a .polyhue file
+     */
+    saveProject() {
+        if (!this.state.image) {
+            this.showError('Please upload an image first.');
+            return;
+        }
+
+        try {
+            const { polyhue } = window.EXPORT_EXTENSIONS;
+            const project = window.ProjectFile.create(this.state);
+            this.downloadBlob(
+                new Blob([JSON.stringify(project)], { type: polyhue.mimeType }),
+                `${this.getExportFilename()}${polyhue.extension}`
+            );
+            this.state.isDirty = false;
+        } catch (error) {
+            this.showError(`Failed to save project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a .polyhue project file
+     * @param {File} file - Project file from the upload area
+     */
+    async loadProject(file) {
+        if (this.state.isDirty && !confirm('Open this project? Unsaved changes to the current one will be lost.')) {
+            return;
+        }
+
+        try {
+            this.showLoading('Opening project...');
+            const project = window.ProjectFile.parse(await file.text());
+            await this.applyProject(project);
+            this.projectId = null;
+            this.scheduleAutosave();
+            this.hideLoading();
+            console.log(`Opened project ${file.name} (version ${project.version})`);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to open project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the app state with a parsed project and show it
+     * @param {PolyHueProject} project - ProjectFile.parse() result
+     */
+    async applyProject(project) {
+        // Decode the embedded PNG the same way as an upload; it is already within the size limits
+        const blob = await (await fetch(project.image.src)).blob();
+        const imageFile = new File([blob], project.image.fileName || 'image.png', { type: blob.type });
+        const imageData = await window.ImageProcessor.processFile(imageFile, { autoResize: false });
+        imageData.fileSize = project.image.fileSize ?? imageData.fileSize;
+        imageData.format = project.image.format || imageData.format;
+        imageData.originalDimensions = project.image.originalDimensions || imageData.originalDimensions;
+
+        await this.imageWorker.request('set-image', {
+            pixels: imageData.data,
+            width: imageData.width,
+            height: imageData.height
+        });
+
+        if (this.autosaveTimeout) this.autosave(); // finish saving the project being replaced
+        this.state = window.ProjectFile.restoreState(project, this.createInitialState());
+        // Projects saved before the TD layer range may use thicker layers
+        this.state.swapTable.layerHeight = this.clampPrintLayerHeight(this.state.swapTable.layerHeight);
+        this.state.swapTable.firstLayerHeight = this.clampPrintLayerHeight(this.state.swapTable.firstLayerHeight);
+        this.state.image = imageData;
+        this.coverageSolution = null;
+        this.colorMapCache = null;
+        this.layerCountCache = null;
+        this.history.clear();
+        this.renderHistory();
+
+        this.updateImagePreview();
+        this.updateUI();
+    }
+
+    /**
+     * Serialized snapshot of everything the edit history can restore:
+     * the colors and the saved project settings
+     * @returns {string}
+     */
+    captureEditState() {
+        return JSON.stringify({
+            colors: this.state.colors,
+            settings: Object.fromEntries(window.ProjectFile.SETTINGS.map(key => [key, this.state[key]]))
+        });
+    }
+
+    /**
+     * Add an edit to the undo history
+     * @param {string} label - Action name for the history panel
+     * @param {string} before - captureEditState() from before the edit
+     * @param {string} [mergeKey] - Merges quick repeated edits to one control
+     */
+    recordEdit(label, before, mergeKey = null) {
+        if (this.history.record(label, before, this.captureEditState(), mergeKey)) {
+            this.renderHistory();
+            // Only edits are saved, so opening or viewing a project leaves its record alone
+            this.scheduleAutosave();
+        }
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        const snapshot = this.history.undo();
+        if (snapshot) this.restoreEditState(snapshot);
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        const snapshot = this.history.redo();
+        if (snapshot) this.restoreEditState(snapshot);
+    }
+
+    /**
+     * Put the colors and settings back to a history snapshot and redraw
+     * the current step from them
+     * @param {string} snapshot - captureEditState() result
+     */
+    restoreEditState(snapshot) {
+        const { colors, settings } = JSON.parse(snapshot);
+
+        // Debounced previews and rebuilds would still use the replaced state
+        clearTimeout(this.previewTimeout);
+        clearTimeout(this.regenerateTimeout);
+
+        this.state.colors = colors;
+        Object.assign(this.state, settings);
+        this.state.isDirty = true;
+
+        this.renderHistory();
+        this.updateUI();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Show or hide the history panel
+     * @param {boolean} open - Whether to show it
+     */
+    toggleHistoryPanel(open) {
+        if (!this.elements.historyPanel) return;
+
+        this.elements.historyPanel.hidden = !open;
+        this.elements.toggleHistoryBtn?.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Refresh the undo/redo buttons and the history panel
+     */
+    renderHistory() {
+        const { history } = this;
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !history.canUndo();
+            this.elements.undoBtn.title = history.canUndo()
+                ? `Undo ${history.entries[history.position - 1].label} (Ctrl+Z)`
+                : 'Undo (Ctrl+Z)';
+        }
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !history.canRedo();
+            this.elements.redoBtn.title = history.canRedo()
+                ? `Redo ${history.entries[history.position].label} (Ctrl+Shift+Z)`
+                : 'Redo (Ctrl+Shift+Z)';
+        }
+
+        const { historyList, historyEmpty } = this.elements;
+        if (!historyList) return;
+
+        historyList.innerHTML = '';
+        if (historyEmpty) historyEmpty.hidden = history.entries.length > 0;
+        if (history.entries.length === 0) return;
+
+        // Position 0 is the state before the first recorded edit
+        const steps = [{ label: 'Start' }, ...history.entries];
+        steps.forEach((entry, position) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'history-entry';
+            button.classList.toggle('current', position === history.position);
+            button.classList.toggle('undone', position > history.position);
+
+            const label = document.createElement('span');
+            label.textContent = entry.label;
+            button.appendChild(label);
+            if (entry.time) {
+                const time = document.createElement('span');
+                time.className = 'history-entry-time';
+                time.textContent = new Date(entry.time).toLocaleTimeString();
+                button.appendChild(time);
+            }
+
+            button.addEventListener('click', () => {
+                if (position !== history.position) {
+                    this.restoreEditState(history.goTo(position));
+                }
+            });
+            item.appendChild(button);
+            historyList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the recent projects and offer to restore the last session
+     */
+    async initializeProjectStore() {
+        if (!window.ProjectStore.isSupported()) return;
+
+        try {
+            const recents = await this.renderRecentProjects();
+            const [last] = recents;
+            if (last && this.elements.restoreBanner && !this.state.image) {
+                this.elements.restoreBanner.dataset.projectId = last.id;
+                this.elements.restoreMessage.textContent =
+                    `Restore your last session, "${last.name}" (${new Date(last.updatedAt).toLocaleString()})?`;
+                this.elements.restoreBanner.hidden = false;
+            }
+        } catch (error) {
+            console.warn('Autosaved projects unavailable:', error);
+        }
+    }
+
+    /**
+     * Autosave once edits settle
+     */
+    scheduleAutosave() {
+        if (!this.state.image || !window.ProjectStore.isSupported()) return;
+
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = setTimeout(() => this.autosave(), window.APP_CONSTANTS.AUTOSAVE_DELAY);
+    }
+
+    /**
+     * Write the current project to the project store
+     */
+    async autosave() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = null;
+        const { image } = this.state;
+        if (!image) return;
+
+        try {
+            // Snapshot before awaiting, so a project opened meanwhile isn't mixed in
+            this.projectId = this.projectId || window.ProjectStore.createId();
+            const id = this.projectId;
+            const name = this.state.exportSettings.title || this.getDefaultExportFilename();
+            const project = window.ProjectFile.create(this.state);
+            project.image.src = null;
+
+            // The image only changes on upload, so encode it and its thumbnail once
+            let encoded = this.autosaveImage;
+            if (encoded?.source !== image) {
+                const blob = await (await fetch(image.src)).blob();
+                const thumbnail = await window.ImageProcessor.generateThumbnail(
+                    blob, window.APP_CONSTANTS.RECENT_THUMBNAIL_SIZE
+                );
+                encoded = this.autosaveImage = { source: image, blob, thumbnail };
+            }
+            const { blob, thumbnail } = encoded;
+
+            await window.ProjectStore.save({ id, name, updatedAt: Date.now(), thumbnail, image: blob, project });
+            await this.renderRecentProjects();
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    }
+
+    /**
+     * Open an autosaved project
+     * @param {string} id - Project store id
+     */
+    async openStoredProject(id) {
+        if (this.state.isDirty && !confirm('Open this project? Unsaved changes to the current one will be lost.')) {
+            return;
+        }
+
+        let src = null;
+        try {
+            this.showLoading('Opening project...');
+            const record = await window.ProjectStore.get(id);
+            if (!record) throw new Error('It is no longer saved in this browser');
+
+            src = URL.createObjectURL(record.image);
+            const project = window.ProjectFile.read({ ...record.project, image: { ...record.project.image, src } });
+            await this.applyProject(project);
+            this.projectId = id;
+            if (this.elements.restoreBanner) this.elements.restoreBanner.hidden = true;
+            this.hideLoading();
+            console.log(`Restored autosaved project ${record.name}`);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to open project: ${error.message}`);
+        } finally {
+            if (src) URL.revokeObjectURL(src);
+        }
+    }
+
+    /**
+     * Remove an autosaved project from the recent projects
+     * @param {string} id - Project store id
+     */
+    async deleteStoredProject(id) {
+        try {
+            await window.ProjectStore.remove(id);
+            if (this.projectId === id) this.projectId = null;
+            if (this.elements.restoreBanner?.dataset.projectId === id) {
+                this.elements.restoreBanner.hidden = true;
+            }
+            await this.renderRecentProjects();
+        } catch (error) {
+            this.showError(`Failed to remove project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rebuild the recent projects list on step 1
+     * @returns {Promise<Array>} Listed projects, most recent first
+     */
+    async renderRecentProjects() {
+        const { recentProjects, recentProjectList } = this.elements;
+        const projects = await window.ProjectStore.list();
+        if (!recentProjects || !recentProjectList) return projects;
+
+        recentProjectList.innerHTML = '';
+        projects.forEach(project => {
+            const item = document.createElement('li');
+            item.className = 'recent-project';
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'recent-project-open';
+            open.title = `Open ${project.name}`;
+            if (project.thumbnail) {
+                const thumbnail = document.createElement('img');
+                thumbnail.src = project.thumbnail;
+                thumbnail.alt = '';
+                open.appendChild(thumbnail);
+            }
+            const name = document.createElement('span');
+            name.className = 'recent-project-name';
+            name.textContent = project.name;
+            const date = document.createElement('span');
+            date.className = 'recent-project-date';
+            date.textContent = new Date(project.updatedAt).toLocaleString();
+            open.append(name, date);
+            open.addEventListener('click', () => this.openStoredProject(project.id));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'recent-project-delete';
+            remove.title = `Remove ${project.name}`;
+            remove.setAttribute('aria-label', remove.title);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => this.deleteStoredProject(project.id));
+
+            item.append(open, remove);
+            recentProjectList.appendChild(item);
+        });
+        recentProjects.hidden = projects.length === 0;
+        return projects;
+    }
+
     /**
      * Initialize step navigation
      */
@@ -1493,8 +2909,25 @@ class PolyHueApp {
                     this.changeStep(3);
                 }
                 break;
+            case 'KeyS':
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    this.saveProject();
+                }
+                break;
+            case 'KeyZ':
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+                break;
             case 'Escape':
                 this.hideError();
+                this.toggleHistoryPanel(false);
                 break;
         }
     }
@@ -1520,6 +2953,9 @@ class PolyHueApp {
             await this.generate3DModel();
 
             // Update layer configuration UI
+            this.updateDimensionControls();
+            this.updateExportControls();
+            this.updateModelModeControls();
             this.updateLayerConfiguration();
 
             this.hideLoading();
@@ -1552,7 +2988,7 @@ class PolyHueApp {
 
         // Camera
         const aspect = this.elements.threeViewport.clientWidth / this.elements.threeViewport.clientHeight;
-        this.threeCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.threeCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 10000);
 
         // Renderer
         this.threeRenderer = new THREE.WebGLRenderer({ antialias: true });
@@ -1631,42 +3067,358 @@ class PolyHueApp {
                 this.updateTotalHeight();
             });
         }
+
+        if (this.elements.modelWidth) {
+            this.elements.modelWidth.addEventListener('input', () => this.handleDimensionChange('width'));
+            this.elements.modelWidth.addEventListener('change', () => this.handleDimensionChange('width', true));
+        }
+
+        if (this.elements.modelDepth) {
+            this.elements.modelDepth.addEventListener('input', () => this.handleDimensionChange('height'));
+            this.elements.modelDepth.addEventListener('change', () => this.handleDimensionChange('height', true));
+        }
+
+        if (this.elements.modelUnits) {
+            this.elements.modelUnits.addEventListener('change', () => {
+                const before = this.captureEditState();
+                this.state.dimensions.units = this.elements.modelUnits.value;
+                this.recordEdit('Change units', before);
+                this.updateDimensionControls();
+            });
+        }
+
+        if (this.elements.lockAspect) {
+            this.elements.lockAspect.addEventListener('change', this.handleAspectLockChange.bind(this));
+        }
+
+        if (this.elements.modelMode) {
+            this.elements.modelMode.addEventListener('change', this.handleModelModeChange.bind(this));
+        }
+
+        [
+            this.elements.lithophaneMinThickness,
+            this.elements.lithophaneMaxThickness,
+            this.elements.lithophaneInvert,
+            this.elements.lithophaneBacking,
+            this.elements.lithophaneCurveAngle
+        ].forEach(input => {
+            if (input) {
+                input.addEventListener('change', this.handleLithophaneSettingChange.bind(this));
+            }
+        });
+
+        [this.elements.swapLayerHeight, this.elements.swapFirstLayerHeight].forEach(input => {
+            if (input) {
+                input.addEventListener('change', this.handleSwapTableSettingChange.bind(this));
+            }
+        });
+
+        [
+            [this.elements.swapExportMarkdownBtn, 'markdown'],
+            [this.elements.swapExportPrusaBtn, 'prusaslicer'],
+            [this.elements.swapExportBambuBtn, 'bambu'],
+            [this.elements.swapExportM600Btn, 'm600']
+        ].forEach(([button, format]) => {
+            if (button) {
+                button.addEventListener('click', () => this.exportSwapTable(format));
+            }
+        });
+
+        if (this.elements.gcodeMacros) {
+            window.GcodePatcher.MACROS.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.label = label;
+                this.elements.gcodeMacros.appendChild(option);
+            });
+        }
+        if (this.elements.gcodeMacro) {
+            this.elements.gcodeMacro.addEventListener('input', () => {
+                const before = this.captureEditState();
+                this.state.swapTable.macro = this.elements.gcodeMacro.value.trim() || 'M600';
+                this.recordEdit('Change color change command', before, 'gcode-macro');
+            });
+        }
+        if (this.elements.patchGcodeBtn && this.elements.gcodeInput) {
+            this.elements.patchGcodeBtn.addEventListener('click', () => this.elements.gcodeInput.click());
+            this.elements.gcodeInput.addEventListener('change', this.handleGcodeUpload.bind(this));
+        }
     }
 
     /**
-     * Generate 3D model from color data using height-mapped relief
+     * Give a new image's footprint the current longest side, at its own aspect ratio
      */
-    async generate3DModel() {
-        if (!this.threeScene || !this.state.image || !this.state.colors) return;
+    fitDimensionsToImage() {
+        const dimensions = this.state.dimensions;
+        const { width, height } = this.state.image;
+        const longestSide = Math.max(dimensions.width, dimensions.height) || window.APP_CONSTANTS.DEFAULT_MODEL_SIZE;
+
+        if (width >= height) {
+            dimensions.width = longestSide;
+            dimensions.height = longestSide * height / width;
+        } else {
+            dimensions.height = longestSide;
+            dimensions.width = longestSide * width / height;
+        }
+    }
 
-        // Remove existing model
-        if (this.model3D) {
-            this.threeScene.remove(this.model3D);
+    /**
+     * Limit a model side to the supported size range
+     * @param {number} size - Size in mm
+     * @returns {number} Size in mm
+     */
+    clampModelSize(size) {
+        const { MIN_MODEL_SIZE, MAX_MODEL_SIZE } = window.APP_CONSTANTS;
+        return Math.min(MAX_MODEL_SIZE, Math.max(MIN_MODEL_SIZE, size));
+    }
+
+    /**
+     * Handle width or depth edits in the physical size panel
+     * @param {string} side - 'width' or 'height'
+     * @param {boolean} [committed] - The edit is finished (change event), not a keystroke
+     */
+    handleDimensionChange(side, committed = false) {
+        const input = side === 'width' ? this.elements.modelWidth : this.elements.modelDepth;
+        const value = parseFloat(input?.value);
+        if (isNaN(value) || value <= 0) {
+            if (committed) this.updateDimensionControls();
+            return;
+        }
+
+        const dimensions = this.state.dimensions;
+        const { MIN_MODEL_SIZE, MAX_MODEL_SIZE } = window.APP_CONSTANTS;
+        const before = this.captureEditState();
+        const previous = dimensions[side];
+        let size = this.clampModelSize(this.toMillimetres(value));
+
+        if (dimensions.lockAspect && this.state.image) {
+            // Keep the derived side in range too, as far as the image's ratio allows
+            const aspectRatio = this.state.image.width / this.state.image.height;
+            const ratio = side === 'width' ? aspectRatio : 1 / aspectRatio;
+            size = this.clampModelSize(Math.min(MAX_MODEL_SIZE * ratio, Math.max(MIN_MODEL_SIZE * ratio, size)));
+            dimensions[side === 'width' ? 'height' : 'width'] = this.clampModelSize(size / ratio);
         }
+        dimensions[side] = size;
+
+        // Never rewrite the field while it is being typed in: "120" passes
+        // through "1", which is below the minimum. Show the clamped value once
+        // the edit is finished.
+        this.updateDimensionControls(committed ? null : side);
+
+        if (dimensions[side] !== previous) {
+            this.state.isDirty = true;
+            this.recordEdit('Resize model', before, `dimension-${side}`);
+            clearTimeout(this.regenerateTimeout);
+            this.regenerateTimeout = setTimeout(() => {
+                this.generate3DModel();
+            }, window.APP_CONSTANTS.DEBOUNCE_DELAY);
+        }
+    }
+
+    /**
+     * Handle the aspect ratio lock; locking again restores the image's ratio from the width
+     */
+    handleAspectLockChange() {
+        const dimensions = this.state.dimensions;
+        const before = this.captureEditState();
+        dimensions.lockAspect = !!this.elements.lockAspect?.checked;
+        this.recordEdit(dimensions.lockAspect ? 'Lock aspect ratio' : 'Unlock aspect ratio', before);
+
+        if (dimensions.lockAspect && this.state.image) {
+            const height = this.clampModelSize(dimensions.width * this.state.image.height / this.state.image.width);
+            if (Math.abs(height - dimensions.height) > 1e-6) {
+                dimensions.height = height;
+                this.updateDimensionControls();
+                this.generate3DModel();
+            }
+        }
+    }
+
+    /**
+     * Convert a length in the display units to millimetres
+     */
+    toMillimetres(value) {
+        return this.state.dimensions.units === window.LENGTH_UNITS.INCHES
+            ? value * window.APP_CONSTANTS.MM_PER_INCH
+            : value;
+    }
+
+    /**
+     * Convert a length in millimetres to the display units
+     */
+    fromMillimetres(value) {
+        return this.state.dimensions.units === window.LENGTH_UNITS.INCHES
+            ? value / window.APP_CONSTANTS.MM_PER_INCH
+            : value;
+    }
+
+    /**
+     * Reflect the physical size in the step 3 panel
+     * @param {string} [skipSide] - Side whose input the user is typing in
+     */
+    updateDimensionControls(skipSide = null) {
+        const dimensions = this.state.dimensions;
+        const inches = dimensions.units === window.LENGTH_UNITS.INCHES;
+        const { MIN_MODEL_SIZE, MAX_MODEL_SIZE } = window.APP_CONSTANTS;
+
+        [
+            ['width', this.elements.modelWidth],
+            ['height', this.elements.modelDepth]
+        ].forEach(([side, input]) => {
+            if (!input) return;
+            input.min = this.fromMillimetres(MIN_MODEL_SIZE).toFixed(2);
+            input.max = this.fromMillimetres(MAX_MODEL_SIZE).toFixed(2);
+            input.step = inches ? '0.01' : '0.1';
+            if (side !== skipSide) {
+                input.value = this.fromMillimetres(dimensions[side]).toFixed(inches ? 2 : 1);
+            }
+        });
+
+        if (this.elements.modelUnits) {
+            this.elements.modelUnits.value = dimensions.units;
+        }
+        if (this.elements.lockAspect) {
+            this.elements.lockAspect.checked = dimensions.lockAspect;
+        }
+        this.elements.dimensionUnitLabels?.forEach(label => {
+            label.textContent = inches ? 'in' : 'mm';
+        });
+    }
+
+    /**
+     * Handle switching between color layers and lithophane
+     */
+    async handleModelModeChange() {
+        const before = this.captureEditState();
+        this.state.modelMode = this.elements.modelMode.value;
+        this.recordEdit('Switch model mode', before);
+        this.updateModelModeControls();
+
+        try {
+            this.showLoading('Generating 3D model...');
+            await this.generate3DModel();
+            this.hideLoading();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to regenerate 3D model:', error);
+            this.showError(`Failed to generate 3D model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle lithophane thickness / backing edits
+     */
+    handleLithophaneSettingChange() {
+        const settings = this.state.lithophane;
+        const before = this.captureEditState();
+        const minThickness = parseFloat(this.elements.lithophaneMinThickness?.value);
+        const maxThickness = parseFloat(this.elements.lithophaneMaxThickness?.value);
+        const curveAngle = parseFloat(this.elements.lithophaneCurveAngle?.value);
+
+        if (!isNaN(minThickness) && minThickness > 0) {
+            settings.minThickness = minThickness;
+        }
+        if (!isNaN(maxThickness) && maxThickness > 0) {
+            settings.maxThickness = maxThickness;
+        }
+        if (settings.maxThickness < settings.minThickness) {
+            settings.maxThickness = settings.minThickness;
+        }
+        if (!isNaN(curveAngle) && curveAngle > 0) {
+            settings.curveAngle = Math.min(window.APP_CONSTANTS.MAX_LITHOPHANE_CURVE_ANGLE, curveAngle);
+        }
+        settings.invert = !!this.elements.lithophaneInvert?.checked;
+        settings.backing = this.elements.lithophaneBacking?.value || window.LITHOPHANE_BACKINGS.FLAT;
+        this.recordEdit('Change lithophane settings', before, 'lithophane');
+
+        this.updateModelModeControls();
+
+        clearTimeout(this.regenerateTimeout);
+        this.regenerateTimeout = setTimeout(() => {
+            this.generate3DModel();
+        }, window.APP_CONSTANTS.DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Reflect the model mode and lithophane settings in the step 3 panel
+     */
+    updateModelModeControls() {
+        const isLithophane = this.state.modelMode === window.COLOR_MODES.LITHOPHANE;
+        const settings = this.state.lithophane;
+
+        if (this.elements.modelMode) {
+            this.elements.modelMode.value = this.state.modelMode;
+        }
+        if (this.elements.colorLayerSettings) {
+            this.elements.colorLayerSettings.hidden = isLithophane;
+        }
+        if (this.elements.lithophaneSettings) {
+            this.elements.lithophaneSettings.hidden = !isLithophane;
+        }
+        if (this.elements.lithophaneMinThickness) {
+            this.elements.lithophaneMinThickness.value = settings.minThickness;
+        }
+        if (this.elements.lithophaneMaxThickness) {
+            this.elements.lithophaneMaxThickness.value = settings.maxThickness;
+        }
+        if (this.elements.lithophaneInvert) {
+            this.elements.lithophaneInvert.checked = settings.invert;
+        }
+        if (this.elements.lithophaneBacking) {
+            this.elements.lithophaneBacking.value = settings.backing;
+        }
+        if (this.elements.lithophaneCurveAngle) {
+            this.elements.lithophaneCurveAngle.value = settings.curveAngle;
+            this.elements.lithophaneCurveAngle.disabled = settings.backing !== window.LITHOPHANE_BACKINGS.CURVED;
+        }
+    }
+
+    /**
+     * Generate 3D model from color data using height-mapped relief.
+     * Meshes are built in the mesh worker; starting a new build cancels
+     * the one in progress (exports and checks in that worker keep running),
+     * and the current model stays visible until the new one is ready.
+     * @returns {Promise<boolean>} Whether the model was replaced (false when superseded)
+     */
+    async generate3DModel() {
+        if (!this.threeScene || !this.state.image || !this.state.colors) return false;
+
+        // A newer edit supersedes any model still being built
+        const generation = ++this.modelGeneration;
+        this.meshWorker.cancel('model');
 
         // Create model group
-        this.model3D = new this.THREE.Group();
+        const model = new this.THREE.Group();
 
         const imageWidth = this.state.image.width;
         const imageHeight = this.state.image.height;
-        const aspectRatio = imageWidth / imageHeight;
-        
-        // Scale model to reasonable size (max 10 units)
-        const maxSize = 10;
-        let modelWidth, modelHeight;
-        if (aspectRatio > 1) {
-            modelWidth = maxSize;
-            modelHeight = maxSize / aspectRatio;
-        } else {
-            modelHeight = maxSize;
-            modelWidth = maxSize * aspectRatio;
+
+        // The scene is in millimetres, so exports print at the configured size
+        const { width: modelWidth, height: modelHeight } = this.state.dimensions;
+
+        try {
+            if (this.state.modelMode === window.COLOR_MODES.LITHOPHANE) {
+                // Luminance-driven thickness instead of stacked color slabs
+                await this.generateLithophane(model, modelWidth, modelHeight);
+            } else {
+                // Generate height-mapped geometry for each color layer
+                await this.generateColorLayers(model, modelWidth, modelHeight, imageWidth, imageHeight);
+                this.updateSwapTable();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            throw error;
         }
 
-        // Create pixel-to-color mapping
-        const colorMap = await this.createColorMap(imageWidth, imageHeight);
-        
-        // Generate height-mapped geometry for each color layer
-        await this.generateColorLayers(colorMap, modelWidth, modelHeight, imageWidth, imageHeight);
+        // Superseded while this build was waiting
+        if (generation !== this.modelGeneration) return false;
+
+        // Replace the existing model
+        if (this.model3D) {
+            this.threeScene.remove(this.model3D);
+            this.disposeModel(this.model3D);
+        }
+        this.model3D = model;
 
         // Center the model
         const box = new this.THREE.Box3().setFromObject(this.model3D);
@@ -1676,255 +3428,200 @@ class PolyHueApp {
         // Add to scene
         this.threeScene.add(this.model3D);
 
-        console.log(`Generated 3D relief model with ${this.state.colors.length} color layers`);
+        // Reframe when the size changed enough to leave the model off screen or tiny
+        const modelSize = Math.max(modelWidth, modelHeight);
+        if (!this.cameraFitSize || modelSize > this.cameraFitSize * 1.5 || modelSize < this.cameraFitSize / 3) {
+            this.resetCamera();
+        }
+
+        console.log(this.state.modelMode === window.COLOR_MODES.LITHOPHANE
+            ? 'Generated 3D lithophane model'
+            : `Generated 3D relief model with ${this.state.colors.length} color layers`);
+        return true;
+    }
+
+    /**
+     * Free the GPU resources of a model that is no longer shown
+     */
+    disposeModel(model) {
+        model.children.forEach(mesh => {
+            mesh.geometry?.dispose();
+            mesh.material?.dispose();
+        });
+    }
+
+    /**
+     * Generate a single-body lithophane whose thickness follows image luminance
+     * @param {THREE.Group} model - Group to add the mesh to
+     * @param {number} modelWidth - Model width in mm
+     * @param {number} modelHeight - Model height in mm
+     */
+    async generateLithophane(model, modelWidth, modelHeight) {
+        const { width, height, canvas } = this.state.image;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const settings = this.state.lithophane;
+
+        const { positions, indices } = await this.runMeshTask('lithophane-generate', {
+            pixels,
+            width,
+            height,
+            thickness: {
+                minThickness: settings.minThickness,
+                maxThickness: settings.maxThickness,
+                invert: settings.invert
+            },
+            mesh: {
+                width: modelWidth,
+                height: modelHeight,
+                backing: settings.backing,
+                curveAngle: settings.curveAngle
+            }
+        }, [pixels.buffer], 'model');
+
+        const geometry = new this.THREE.BufferGeometry();
+        geometry.setAttribute('position', new this.THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new this.THREE.BufferAttribute(indices, 1));
+        geometry.computeVertexNormals();
+
+        const material = new this.THREE.MeshLambertMaterial({ color: 0xf5f5f0 });
+        const mesh = new this.THREE.Mesh(geometry, material);
+        mesh.userData = { lithophane: true };
+
+        model.add(mesh);
+    }
+
+    /**
+     * Assign each image pixel to a palette color. The result is reused
+     * until the palette or mapping settings change, so height edits only
+     * rebuild the mesh.
+     * @returns {Promise<Uint8Array>} Index into state.colors per pixel (ColorMapper.TRANSPARENT for none)
+     */
+    async createColorMap() {
+        const { palette, metric, mapOptions } = await this.prepareColorMapping();
+        const { bias, dithering, ditherStrength } = mapOptions;
+
+        const key = JSON.stringify([metric, palette, bias && Array.from(bias), dithering, ditherStrength]);
+        if (!this.colorMapCache || this.colorMapCache.key !== key) {
+            const { indices } = await this.runImageTask('map-colors', { palette, metric, ...mapOptions });
+            this.colorMapCache = { key, indices };
+        }
+
+        return this.colorMapCache.indices;
     }
 
     /**
-     * Create a color mapping for each pixel in the image
+     * Pick each image pixel's print layer count in a TD stack. Cached like
+     * the color map, so dimension edits only rebuild the mesh.
+     * @param {Object} stack - createTdStack() result
+     * @returns {Promise<Uint16Array>} Layers per pixel (0 for transparent pixels)
      */
-    async createColorMap(width, height) {
-        // Get image data
-        const canvas = this.state.image.canvas;
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-
-        // Create color map array
-        const colorMap = new Array(width * height);
-
-        // Process each pixel
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const i = (y * width + x) * 4;
-                const r = data[i];
-                const g = data[i + 1];
-                const b = data[i + 2];
-                const a = data[i + 3];
-
-                // Skip transparent pixels
-                if (a < 128) {
-                    colorMap[y * width + x] = null;
-                    continue;
-                }
+    async createLayerCountMap(stack) {
+        const { metric } = this.state.colorMapping;
 
-                // Find closest color in palette
-                const closestColor = this.findClosestColor(r, g, b);
-                colorMap[y * width + x] = closestColor;
-            }
+        const key = JSON.stringify([metric, stack]);
+        if (!this.layerCountCache || this.layerCountCache.key !== key) {
+            const { layerCounts } = await this.runImageTask('assign-layers', { stack, metric });
+            this.layerCountCache = { key, layerCounts };
         }
 
-        return colorMap;
+        return this.layerCountCache.layerCounts;
     }
 
     /**
-     * Generate 3D layers for proper multi-color printing
+     * Slice the color stack into print layers for TD layering, at the swap
+     * table's layer heights so the relief, the preview and the swaps agree
+     * @returns {Object} TdLayering.buildStack() result
      */
-    async generateColorLayers(colorMap, modelWidth, modelHeight, imageWidth, imageHeight) {
-        const totalHeight = this.state.totalHeight || window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT;
-        const scaleHeight = totalHeight / 50; // Scale to reasonable 3D units
-        const minLayerThickness = scaleHeight * 0.2; // Minimum layer thickness for printability
-
-        // Sort colors by their order (bottom to top)
-        const sortedColors = [...this.state.colors].sort((a, b) => a.order - b.order);
-
-        // Calculate cumulative heights for each color
-        let cumulativeHeight = 0;
-        const colorHeights = new Map();
-        
-        sortedColors.forEach(color => {
-            const layerHeight = (color.height || totalHeight / this.state.colors.length) * scaleHeight;
-            const previousHeight = cumulativeHeight;
-            cumulativeHeight += layerHeight;
-            colorHeights.set(color.id, { 
-                bottom: previousHeight, 
-                top: cumulativeHeight,
-                height: layerHeight
-            });
-        });
-
-        // Create geometry for each color layer
-        for (let colorIndex = 0; colorIndex < sortedColors.length; colorIndex++) {
-            const color = sortedColors[colorIndex];
-            const heightInfo = colorHeights.get(color.id);
-            
-            // Create printable layer geometry (full base + color-specific areas)
-            const geometry = this.createPrintableLayerGeometry(
-                colorMap, 
-                color, 
-                heightInfo.bottom,
-                heightInfo.top,
-                minLayerThickness,
-                modelWidth, 
-                modelHeight, 
-                imageWidth, 
-                imageHeight
-            );
-
-            if (geometry) {
-                // Create material with color
-                const material = new this.THREE.MeshLambertMaterial({ 
-                    color: color.hex,
-                    transparent: false
-                });
-
-                // Create mesh
-                const layerMesh = new this.THREE.Mesh(geometry, material);
-                layerMesh.userData = { colorId: color.id, layerIndex: colorIndex };
-                
-                this.model3D.add(layerMesh);
-            }
-        }
+    createTdStack() {
+        const layers = this.getLayerStack().map(({ color, bottom, top }) => ({
+            id: color.id,
+            rgb: color.rgb,
+            td: color.td,
+            height: top - bottom
+        }));
+        return window.TdLayering.buildStack(layers, this.state.swapTable);
     }
 
     /**
-     * Create geometry for a printable color layer
+     * Generate 3D layers for proper multi-color printing
+     * @param {THREE.Group} model - Group to add the layer meshes to
      */
-    createPrintableLayerGeometry(colorMap, color, bottomHeight, topHeight, minLayerThickness, modelWidth, modelHeight, imageWidth, imageHeight) {
-        const vertices = [];
-        const indices = [];
-        const normals = [];
-        const uvs = [];
+    async generateColorLayers(model, modelWidth, modelHeight, imageWidth, imageHeight) {
+        // Mesh color indices refer to this order
+        const colors = [...this.state.colors];
 
-        const pixelWidth = modelWidth / imageWidth;
-        const pixelHeight = modelHeight / imageHeight;
-
-        let vertexIndex = 0;
-
-        // For the first layer (bottom), create a full base
-        if (color.order === 0) {
-            // First layer: create geometry from 0 to topHeight where this color appears
-            for (let y = 0; y < imageHeight; y++) {
-                for (let x = 0; x < imageWidth; x++) {
-                    const pixelColor = colorMap[y * imageWidth + x];
-                    
-                    // Only create geometry where this color appears
-                    if (pixelColor && pixelColor.id === color.id) {
-                        const startX = (x - imageWidth / 2) * pixelWidth;
-                        const startY = (y - imageHeight / 2) * pixelHeight;
-                        const endX = startX + pixelWidth;
-                        const endY = startY + pixelHeight;
-
-                        this.addPixelBox(
-                            vertices, indices, normals, uvs,
-                            startX, startY, endX, endY, 
-                            0, topHeight, vertexIndex
-                        );
-                        
-                        vertexIndex += 8;
-                    }
-                }
-            }
+        // Sort colors by their order (bottom to top)
+        const sortedColors = [...colors].sort((a, b) => a.order - b.order);
+
+        const layout = { imageWidth, imageHeight, modelWidth, modelHeight };
+        let task;
+
+        if (this.state.tdLayering.enabled) {
+            // One solid per filament, with each pixel's column stopping at
+            // the print layer whose blended color matches it best
+            const stack = this.createTdStack();
+            task = {
+                ...layout,
+                layerCounts: await this.createLayerCountMap(stack),
+                filaments: stack.filaments.map(({ id, startLayer, layerCount }) => ({
+                    colorIndex: colors.findIndex(color => color.id === id),
+                    startLayer,
+                    layerCount
+                })),
+                layerHeight: stack.layerHeight,
+                firstLayerHeight: stack.firstLayerHeight
+            };
         } else {
-            // Subsequent layers: thin base everywhere + full height where this color appears
-            
-            // 1. Create thin base layer covering entire model footprint
-            this.addPixelBox(
-                vertices, indices, normals, uvs,
-                -modelWidth / 2, -modelHeight / 2, 
-                modelWidth / 2, modelHeight / 2,
-                bottomHeight, bottomHeight + minLayerThickness, vertexIndex
-            );
-            vertexIndex += 8;
-
-            // 2. Add full height columns where this color appears
-            for (let y = 0; y < imageHeight; y++) {
-                for (let x = 0; x < imageWidth; x++) {
-                    const pixelColor = colorMap[y * imageWidth + x];
-                    
-                    // Only create full-height geometry where this color appears
-                    if (pixelColor && pixelColor.id === color.id) {
-                        const startX = (x - imageWidth / 2) * pixelWidth;
-                        const startY = (y - imageHeight / 2) * pixelHeight;
-                        const endX = startX + pixelWidth;
-                        const endY = startY + pixelHeight;
-
-                        // Create column from thin base to full height
-                        this.addPixelBox(
-                            vertices, indices, normals, uvs,
-                            startX, startY, endX, endY, 
-                            bottomHeight + minLayerThickness, topHeight, vertexIndex
-                        );
-                        
-                        vertexIndex += 8;
-                    }
-                }
-            }
+            // One solid per color: each layer covers every pixel whose
+            // color sits at or above it in the stack
+            task = {
+                ...layout,
+                colorMap: await this.createColorMap(),
+                layers: this.getLayerStack().map(({ color, bottom, top }) => ({
+                    colorIndex: colors.indexOf(color),
+                    bottom,
+                    top
+                }))
+            };
         }
 
-        if (vertices.length === 0) return null;
+        // Build the solids in the worker
+        const { layers: meshes } = await this.runMeshTask('mesh-generate', task, [], 'model');
 
-        // Create geometry
-        const geometry = new this.THREE.BufferGeometry();
-        geometry.setAttribute('position', new this.THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('normal', new this.THREE.Float32BufferAttribute(normals, 3));
-        geometry.setAttribute('uv', new this.THREE.Float32BufferAttribute(uvs, 2));
-        geometry.setIndex(indices);
-
-        return geometry;
-    }
-
-    /**
-     * Add a box geometry for a single pixel
-     */
-    addPixelBox(vertices, indices, normals, uvs, x1, y1, x2, y2, z1, z2, vertexOffset) {
-        // Define the 8 vertices of the box
-        const boxVertices = [
-            x1, y1, z1,  // 0: bottom-left-front
-            x2, y1, z1,  // 1: bottom-right-front
-            x2, y2, z1,  // 2: bottom-right-back
-            x1, y2, z1,  // 3: bottom-left-back
-            x1, y1, z2,  // 4: top-left-front
-            x2, y1, z2,  // 5: top-right-front
-            x2, y2, z2,  // 6: top-right-back
-            x1, y2, z2   // 7: top-left-back
-        ];
-
-        // Add vertices
-        vertices.push(...boxVertices);
-
-        // Define faces (12 triangles for 6 faces)
-        const faces = [
-            // Bottom face (z = z1)
-            0, 1, 2,  0, 2, 3,
-            // Top face (z = z2)
-            4, 7, 6,  4, 6, 5,
-            // Front face (y = y1)
-            0, 4, 5,  0, 5, 1,
-            // Back face (y = y2)
-            2, 6, 7,  2, 7, 3,
-            // Left face (x = x1)
-            0, 3, 7,  0, 7, 4,
-            // Right face (x = x2)
-            1, 5, 6,  1, 6, 2
-        ];
-
-        // Add indices with vertex offset
-        faces.forEach(index => {
-            indices.push(vertexOffset + index);
-        });
+        meshes.forEach(layer => {
+            const color = colors[layer.colorIndex];
 
-        // Add normals (simplified - each vertex gets the same normal)
-        const boxNormals = [
-            0, 0, -1,  0, 0, -1,  0, 0, -1,  0, 0, -1,  // bottom
-            0, 0, 1,   0, 0, 1,   0, 0, 1,   0, 0, 1     // top
-        ];
-        normals.push(...boxNormals);
+            const geometry = new this.THREE.BufferGeometry();
+            geometry.setAttribute('position', new this.THREE.BufferAttribute(layer.positions, 3));
+            geometry.setIndex(new this.THREE.BufferAttribute(layer.indices, 1));
+
+            // Create material with color. Caps and walls share vertices, so
+            // faces are lit with flat shading rather than vertex normals
+            const material = new this.THREE.MeshLambertMaterial({ 
+                color: color.hex,
+                transparent: false,
+                flatShading: true
+            });
 
-        // Add UVs (simplified)
-        const boxUVs = [
-            0, 0,  1, 0,  1, 1,  0, 1,  // bottom
-            0, 0,  1, 0,  1, 1,  0, 1   // top
-        ];
-        uvs.push(...boxUVs);
+            // Create mesh
+            const layerMesh = new this.THREE.Mesh(geometry, material);
+            layerMesh.userData = { colorId: color.id, layerIndex: sortedColors.indexOf(color) };
+            
+            model.add(layerMesh);
+        });
     }
 
     /**
-     * Reset camera to default position
+     * Reset camera to default position, framing the current model size
      */
     resetCamera() {
         if (!this.threeCamera || !this.orbitControls) return;
 
-        this.threeCamera.position.set(15, 15, 15);
+        const { width, height } = this.state.dimensions;
+        this.cameraFitSize = Math.max(width, height);
+        const distance = this.cameraFitSize * 1.5;
+
+        this.threeCamera.position.set(distance, distance, distance);
         this.threeCamera.lookAt(0, 0, 0);
         this.orbitControls.target.set(0, 0, 0);
         this.orbitControls.update();
@@ -1949,6 +3646,7 @@ class PolyHueApp {
     updateTotalHeight() {
         const newHeight = parseFloat(this.elements.totalHeight.value);
         if (!isNaN(newHeight) && newHeight > 0) {
+            const before = this.captureEditState();
             this.state.totalHeight = newHeight;
             
             // Redistribute layer heights proportionally
@@ -1957,6 +3655,7 @@ class PolyHueApp {
                 const proportion = (color.height || 1) / totalOriginalHeight;
                 color.height = newHeight * proportion;
             });
+            this.recordEdit('Change total height', before, 'total-height');
 
             // Regenerate model
             this.generate3DModel();
@@ -1994,8 +3693,11 @@ class PolyHueApp {
             heightInput.addEventListener('input', (e) => {
                 const newHeight = parseFloat(e.target.value);
                 if (!isNaN(newHeight) && newHeight > 0) {
+                    const before = this.captureEditState();
                     color.height = newHeight;
+                    this.recordEdit(`Change layer ${index + 1} height`, before, `height-${color.id}`);
                     this.updateTotalHeightDisplay();
+                    this.updateSwapTable();
                     
                     // Debounce model regeneration
                     clearTimeout(this.regenerateTimeout);
@@ -2011,6 +3713,234 @@ class PolyHueApp {
         this.updateTotalHeightDisplay();
     }
 
+    /**
+     * Colors bottom to top with the Z range each one occupies in the model
+     * @returns {Array<{color: ColorRegion, bottom: number, top: number}>} Heights in mm
+     */
+    getLayerStack() {
+        const totalHeight = this.state.totalHeight || window.APP_CONSTANTS.DEFAULT_MODEL_HEIGHT;
+        const sortedColors = [...this.state.colors].sort((a, b) => a.order - b.order);
+
+        let cumulativeHeight = 0;
+        return sortedColors.map(color => {
+            const layerHeight = color.height || totalHeight / sortedColors.length;
+            const bottom = cumulativeHeight;
+            cumulativeHeight += layerHeight;
+            return { color, bottom, top: cumulativeHeight };
+        });
+    }
+
+    /**
+     * Filament swaps for the current stack at the swap table's layer heights
+     * @returns {SwapTableResult}
+     */
+    createSwapTable() {
+        const layers = this.getLayerStack().map(({ color, bottom, top }) => ({
+            hex: color.hex,
+            name: this.getFilamentLabel(color),
+            height: top - bottom
+        }));
+        return window.SwapTable.create(layers, this.state.swapTable);
+    }
+
+    /**
+     * Name a color by its filament where one is assigned
+     * @returns {string} "Vendor Name (#rrggbb)" or the hex
+     */
+    getFilamentLabel(color) {
+        return color.filament
+            ? `${[color.filament.vendor, color.filament.name].filter(Boolean).join(' ')} (${color.hex})`
+            : color.hex;
+    }
+
+    /**
+     * Limit a print layer height to the thin layers TD blending needs
+     * @param {number} height - Layer height in mm
+     * @returns {number} Layer height in mm
+     */
+    clampPrintLayerHeight(height) {
+        const { MIN_PRINT_LAYER_HEIGHT, MAX_PRINT_LAYER_HEIGHT } = window.APP_CONSTANTS;
+        return Math.min(MAX_PRINT_LAYER_HEIGHT, Math.max(MIN_PRINT_LAYER_HEIGHT, height));
+    }
+
+    /**
+     * Handle layer height / first layer height edits for the swap table
+    handleSwapTableSettingChange() {
+        const settings = this.state.swapTable;
+        const before = this.captureEditState();
+
+        const layerHeight = parseFloat(this.elements.swapLayerHeight?.value);
+        const firstLayerHeight = parseFloat(this.elements.swapFirstLayerHeight?.value);
+        if (!isNaN(layerHeight)) settings.layerHeight = this.clampPrintLayerHeight(layerHeight);
+        if (!isNaN(firstLayerHeight)) settings.firstLayerHeight = this.clampPrintLayerHeight(firstLayerHeight);
+        this.recordEdit('Change print layer heights', before);
+
+        this.updateSwapTable();
+
+        // A TD stack is sliced at these layer heights
+        if (this.state.tdLayering.enabled) {
+            clearTimeout(this.regenerateTimeout);
+            this.regenerateTimeout = setTimeout(() => {
+                this.generate3DModel();
+            }, window.APP_CONSTANTS.DEBOUNCE_DELAY);
+        }
+    }
+
+    /**
+     * Render the swap table preview under the layer list
+     */
+    updateSwapTable() {
+        if (this.elements.swapLayerHeight) {
+            this.elements.swapLayerHeight.value = this.state.swapTable.layerHeight;
+        }
+        if (this.elements.swapFirstLayerHeight) {
+            this.elements.swapFirstLayerHeight.value = this.state.swapTable.firstLayerHeight;
+        }
+        if (this.elements.gcodeMacro) {
+            this.elements.gcodeMacro.value = this.state.swapTable.macro;
+        }
+        if (!this.elements.swapTable || this.state.colors.length === 0) return;
+
+        const table = this.createSwapTable();
+        this.elements.swapTable.innerHTML = '';
+
+        table.rows.forEach((row, index) => {
+            const item = document.createElement('div');
+            item.className = 'swap-row';
+            item.classList.toggle('swap-row-skipped', row.layers === 0);
+            item.innerHTML = `
+                <div class="layer-color" style="background-color: ${row.hex}"></div>
+                <span class="swap-name"></span>
+                <span class="swap-when"></span>
+            `;
+            item.querySelector('.swap-name').textContent = row.name;
+            item.querySelector('.swap-when').textContent = row.layers === 0
+                ? 'Too thin, skipped'
+                : index === 0
+                    ? `Start, layers 1–${row.endLayer}`
+                    : `Layer ${row.startLayer} (Z ${row.z} mm)`;
+            this.elements.swapTable.appendChild(item);
+        });
+
+        const summary = document.createElement('p');
+        summary.className = 'swap-summary';
+        summary.textContent = `${window.SwapTable.swaps(table).length} swaps, ${table.layerCount} layers (${table.totalHeight} mm)`;
+        this.elements.swapTable.appendChild(summary);
+    }
+
+    /**
+     * Download the swap table
+     * @param {string} format - 'markdown', 'prusaslicer', 'bambu' or 'm600'
+     */
+    exportSwapTable(format) {
+        try {
+            if (this.state.colors.length === 0) {
+                this.showError('Please upload an image first.');
+                return;
+            }
+
+            const table = this.createSwapTable();
+            const filename = this.getExportFilename();
+            const { md, json, txt } = window.EXPORT_EXTENSIONS;
+            const files = {
+                markdown: () => [window.SwapTable.toMarkdown(table, `${this.state.exportSettings.title || filename} filament swaps`), md, '-swaps'],
+                prusaslicer: () => [JSON.stringify(window.SwapTable.toPrusaSlicer(table), null, 2), json, '-swaps-prusaslicer'],
+                bambu: () => [JSON.stringify(window.SwapTable.toBambuStudio(table), null, 2), json, '-swaps-bambu'],
+                m600: () => [window.SwapTable.toM600(table), txt, '-swaps-m600']
+            };
+            if (!files[format]) {
+                throw new Error(`Unsupported swap table format: ${format}`);
+            }
+
+            const [text, type, suffix] = files[format]();
+            this.downloadBlob(new Blob([text], { type: type.mimeType }), `${filename}${suffix}${type.extension}`);
+        } catch (error) {
+            this.showError(`Failed to export swap table: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle a sliced G-code file: insert the color changes and download it
+     */
+    async handleGcodeUpload(event) {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            if (this.state.colors.length < 2) {
+                throw new Error('the layer stack needs at least two colors');
+            }
+
+            // Each color after the first starts at the top of the one below
+            const changes = this.getLayerStack().slice(1).map(({ color, bottom }) => ({
+                z: bottom,
+                name: this.getFilamentLabel(color),
+                hex: color.hex
+            }));
+
+            this.showLoading(`Inserting color changes into ${file.name}...`);
+            const { file: patched, summary } = await this.runMeshTask('patch-gcode', {
+                file,
+                changes,
+                macro: this.state.swapTable.macro
+            });
+            this.hideLoading();
+
+            if (summary.layers === 0) {
+                throw new Error('no layer changes found; slice with PrusaSlicer, OrcaSlicer or Bambu Studio so layers are marked with ;LAYER_CHANGE / ;Z: comments');
+            }
+
+            this.downloadBlob(patched, `${file.name.replace(/\.[^/.]+$/, '')}-polyhue.gcode`);
+            this.renderGcodeSummary(summary);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to patch G-code: ${error.message}`);
+        }
+    }
+
+    /**
+     * List where each color change went, plus anything that didn't fit
+     * @param {GcodePatchSummary} summary - GcodePatcher.patch() summary
+     */
+    renderGcodeSummary(summary) {
+        const container = this.elements.gcodeSummary;
+        if (!container) return;
+
+        container.innerHTML = '';
+        const addLine = (text, className) => {
+            const line = document.createElement('p');
+            line.className = className;
+            line.textContent = text;
+            container.appendChild(line);
+        };
+
+        addLine(`${summary.inserted.length} color changes inserted in ${summary.layers} layers:`, 'gcode-summary-title');
+        const list = document.createElement('ol');
+        summary.inserted.forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = `Layer ${change.layer} (Z ${window.GcodePatcher.format(change.z)} mm): ${change.name}, line ${change.line}`;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        if (summary.skipped.length > 0) {
+            addLine(`Thinner than a layer, not printed: ${summary.skipped.join(', ')}`, 'gcode-summary-warning');
+        }
+        if (summary.missed.length > 0) {
+            addLine(`Above the top of the G-code, not printed: ${summary.missed.join(', ')}`, 'gcode-summary-warning');
+        }
+
+        // A different height usually means the G-code was sliced from another model or scale
+        const stack = this.getLayerStack();
+        const stackHeight = stack[stack.length - 1]?.top || 0;
+        if (Math.abs(summary.height - stackHeight) > this.state.swapTable.layerHeight) {
+            addLine(`The G-code is ${window.GcodePatcher.format(summary.height)} mm tall but the model is ${window.GcodePatcher.format(stackHeight)} mm; check it was sliced from this model.`, 'gcode-summary-warning');
+        }
+
+        container.hidden = false;
+    }
+
     /**
      * Update total height display
      */
@@ -2022,22 +3952,124 @@ class PolyHueApp {
     }
 
     /**
-     * Export model as STL
+     * Validate every body of the current model and, if a slicer would
+     * report problems, ask whether to export anyway
+     * @returns {Promise<boolean>} Whether to go ahead with the export
+     */
+    async confirmPrintableModel() {
+        const meshes = this.model3D.children.filter(mesh => mesh.isMesh && mesh.geometry.index);
+        const { reports } = await this.runMeshTask('validate', {
+            meshes: meshes.map(mesh => ({
+                positions: mesh.geometry.attributes.position.array,
+                indices: mesh.geometry.index.array
+            }))
+        });
+
+        const problems = [];
+        reports.forEach((report, index) => {
+            const { colorId, layerIndex } = meshes[index].userData;
+            const color = this.state.colors.find(c => c.id === colorId);
+            const name = color ? `Layer ${layerIndex + 1} (${color.hex})` : 'Model';
+
+            if (report.selfIntersections === null) {
+                console.warn(`${name}: too large to check for self-intersections`);
+            }
+            const issues = window.MeshValidator.describe(report);
+            if (issues.length > 0) {
+                problems.push(`${name}: ${issues.join(', ')}`);
+            }
+        });
+
+        if (problems.length === 0) return true;
+
+        console.warn('Mesh validation found problems:', problems);
+        return confirm(
+            'The model has problems that slicers may report:\n\n' +
+            problems.join('\n') +
+            '\n\nExport anyway?'
+        );
+    }
+
+    /**
+     * Reflect the export settings in the export section
+     */
+    updateExportControls() {
+        if (this.elements.stlPerColor) {
+            this.elements.stlPerColor.checked = this.state.exportSettings.splitByColor;
+        }
+        if (this.elements.stlAscii) {
+            this.elements.stlAscii.checked = this.state.exportSettings.stlFormat === 'ascii';
+        }
+    }
+
+    /**
+     * Export model as STL: one merged body, or one STL per color layer
      */
     async exportSTL(filename) {
-        const { STLExporter } = await import('three/examples/jsm/exporters/STLExporter.js');
-        
-        const exporter = new STLExporter();
-        const stlString = exporter.parse(this.model3D);
-        
-        const blob = new Blob([stlString], { type: 'application/vnd.ms-pki.stl' });
+        const layerMeshes = this.getLayerMeshes();
+
+        if (this.state.exportSettings.splitByColor && layerMeshes.length > 0) {
+            // Exported in world coordinates, so the files share one origin and stay aligned
+            for (const [index, mesh] of layerMeshes.entries()) {
+                this.showLoading(`Exporting STL ${index + 1} of ${layerMeshes.length}...`);
+                const blob = await this.createSTL(mesh);
+                this.downloadBlob(blob, `${this.getLayerFileName(filename, mesh)}.stl`);
+            }
+            return;
+        }
+
+        const blob = await this.createSTL(this.model3D);
         this.downloadBlob(blob, `${filename}.stl`);
     }
 
+    /**
+     * STL for a mesh or the whole model, in world (shared) coordinates.
+     * Written in chunks by the mesh worker, with progress.
+     * @param {THREE.Object3D} object - Mesh or group to export
+     * @param {boolean} [binary] - Binary instead of ASCII STL (defaults to the export setting)
+     * @returns {Promise<Blob>} STL file
+     */
+    async createSTL(object, binary = this.state.exportSettings.stlFormat !== 'ascii') {
+        object.updateMatrixWorld(true);
+        const meshes = object.isMesh ? [object] : object.children.filter(mesh => mesh.isMesh);
+
+        const { file } = await this.runMeshTask('export-stl', {
+            meshes: meshes.map(mesh => ({
+                positions: mesh.geometry.attributes.position.array,
+                indices: mesh.geometry.index.array,
+                matrix: Array.from(mesh.matrixWorld.elements)
+            })),
+            binary,
+            name: object.name || 'PolyHue'
+        });
+        return file;
+    }
+
+    /**
+     * File name for one color layer: layer order (bottom first) and hex
+     * @returns {string} e.g. `photo-layer-02-3a7bd5`
+     */
+    getLayerFileName(filename, mesh) {
+        const color = this.state.colors.find(c => c.id === mesh.userData.colorId);
+        const order = String(mesh.userData.layerIndex + 1).padStart(2, '0');
+        return `${filename}-layer-${order}-${color.hex.slice(1).toLowerCase()}`;
+    }
+
     /**
      * Export model as GLB
      */
-    async exportGLB(filename) {
+    async exportGLB(filename, metadata) {
+        const result = await this.createGLB(metadata);
+        const blob = new Blob([result], { type: 'model/gltf-binary' });
+        this.downloadBlob(blob, `${filename}.glb`);
+    }
+
+    /**
+     * Binary glTF of the model
+     * @param {ExportConfiguration['metadata']} [metadata] - Written to asset.extras
+     * @returns {Promise<ArrayBuffer>} GLB bytes
+     */
+    async createGLB(metadata) {
         const { GLTFExporter } = await import('three/examples/jsm/exporters/GLTFExporter.js');
         
         const exporter = new GLTFExporter();
@@ -2045,11 +4077,7 @@ class PolyHueApp {
         return new Promise((resolve, reject) => {
             exporter.parse(
                 this.model3D,
-                (result) => {
-                    const blob = new Blob([result], { type: 'model/gltf-binary' });
-                    this.downloadBlob(blob, `${filename}.glb`);
-                    resolve();
-                },
+                (result) => resolve(metadata ? window.ExportMetadata.addToGLB(result, metadata) : result),
                 (error) => reject(error),
                 { binary: true }
             );
@@ -2057,42 +4085,300 @@ class PolyHueApp {
     }
 
     /**
-     * Export model as OBJ
+     * Export model as OBJ with its MTL material library
      */
-    async exportOBJ(filename) {
-        const { OBJExporter } = await import('three/examples/jsm/exporters/OBJExporter.js');
+    async exportOBJ(filename, metadata) {
+        const { obj, mtl } = await this.createOBJ(filename, metadata);
         
-        const exporter = new OBJExporter();
-        const objString = exporter.parse(this.model3D);
-        
-        const blob = new Blob([objString], { type: 'application/x-tgif' });
-        this.downloadBlob(blob, `${filename}.obj`);
+        this.downloadBlob(new Blob([obj], { type: window.EXPORT_EXTENSIONS.obj.mimeType }), `${filename}.obj`);
+        this.downloadBlob(new Blob([mtl], { type: window.EXPORT_EXTENSIONS.mtl.mimeType }), `${filename}.mtl`);
+    }
+
+    /**
+     * Export model as 3MF (beta): one part per color layer, bottom to top,
+     * each assigned its own filament slot
+     */
+    async export3MF(filename, metadata) {
+        const meshes = this.model3D.children
+            .filter(mesh => mesh.isMesh && mesh.geometry.index)
+            .sort((a, b) => (a.userData.layerIndex || 0) - (b.userData.layerIndex || 0));
+
+        const parts = meshes.map((mesh, index) => {
+            const color = this.state.colors.find(c => c.id === mesh.userData.colorId);
+            return {
+                name: color ? `Layer ${index + 1} (${color.hex})` : 'Lithophane',
+                color: `#${mesh.material.color.getHexString()}`,
+                extruder: index + 1,
+                positions: mesh.geometry.attributes.position.array,
+                indices: mesh.geometry.index.array
+            };
+        });
+
+        // Packaged in the mesh worker; the geometry is copied, the model keeps its buffers
+        const { data } = await this.runMeshTask('export-3mf', { parts, title: filename, metadata });
+
+        const blob = new Blob([data], { type: window.EXPORT_EXTENSIONS['3mf'].mimeType });
+        this.downloadBlob(blob, `${filename}.3mf`);
+    }
+
+    /**
+     * Export the quantized image at full resolution in flat palette colors
+     */
+    async exportPNG(filename, metadata) {
+        const canvas = this.renderFlatImage(await this.createColorMap());
+        this.downloadBlob(await this.canvasToPNG(canvas, metadata), `${filename}.png`);
     }
 
     /**
-     * Export preview as PNG
+     * Export one black-on-white PNG mask per color, bottom layer first, in a ZIP
      */
-    async exportPNG(filename) {
-        if (!this.threeRenderer) {
-            throw new Error('3D renderer not initialized');
+    async exportMasks(filename, metadata) {
+        const colorMap = await this.createColorMap();
+        const { width, height } = this.state.image;
+        const layers = [...this.state.colors].sort((a, b) => a.order - b.order);
+        const entries = [];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        for (const [order, color] of layers.entries()) {
+            const colorIndex = this.state.colors.indexOf(color);
+            const imageData = ctx.createImageData(width, height);
+            for (let p = 0; p < colorMap.length; p++) {
+                const value = colorMap[p] === colorIndex ? 0 : 255;
+                imageData.data[p * 4] = imageData.data[p * 4 + 1] = imageData.data[p * 4 + 2] = value;
+                imageData.data[p * 4 + 3] = 255;
+            }
+            ctx.putImageData(imageData, 0, 0);
+
+            const png = await this.canvasToPNG(canvas, metadata);
+            const layerNumber = String(order + 1).padStart(2, '0');
+            entries.push({
+                name: `${filename}-mask-${layerNumber}-${color.hex.slice(1).toLowerCase()}.png`,
+                data: new Uint8Array(await png.arrayBuffer())
+            });
         }
 
-        this.threeRenderer.render(this.threeScene, this.threeCamera);
-        const dataURL = this.threeRenderer.domElement.toDataURL('image/png');
-        
-        const link = document.createElement('a');
-        link.download = `${filename}.png`;
-        link.href = dataURL;
-        link.click();
+        const { data } = await this.runMeshTask('export-zip', { entries }, window.WorkerClient.collectTransferables(entries));
+        this.downloadBlob(new Blob([data], { type: window.EXPORT_EXTENSIONS.zip.mimeType }), `${filename}-masks.zip`);
+    }
+
+    /**
+     * Export the quantized image as vector outlines, one path group per
+     * color in layer order, sized to the model's physical dimensions
+     */
+    async exportSVG(filename, metadata) {
+        const colorMap = await this.createColorMap();
+        const { width, height } = this.state.image;
+        const colors = [...this.state.colors]
+            .sort((a, b) => a.order - b.order)
+            .map(color => ({ hex: color.hex, index: this.state.colors.indexOf(color) }));
+
+        const { svg } = await this.runImageTask('trace-svg', {
+            colorMap,
+            width,
+            height,
+            colors,
+            options: {
+                widthMm: this.state.dimensions.width,
+                heightMm: this.state.dimensions.height,
+                title: metadata?.title,
+                description: metadata?.description
+            }
+        });
+
+        this.downloadBlob(new Blob([svg], { type: window.EXPORT_EXTENSIONS.svg.mimeType }), `${filename}.svg`);
+    }
+
+    /**
+     * Encode a canvas as a PNG blob
+     * @param {ExportConfiguration['metadata']} [metadata] - Written as PNG text chunks
+     * @returns {Promise<Blob>}
+     */
+    async canvasToPNG(canvas, metadata) {
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode PNG')), 'image/png');
+        });
+        if (!metadata) {
+            return blob;
+        }
+
+        const png = new Uint8Array(await blob.arrayBuffer());
+        return new Blob([window.ExportMetadata.addToPNG(png, metadata)], { type: 'image/png' });
+    }
+
+    /**
+     * Export every format in one ZIP: combined and per-color STL, GLB,
+     * OBJ+MTL, the flat quantized image and a JSON manifest
+     */
+    async exportZIP(filename, metadata) {
+        const layerMeshes = this.getLayerMeshes();
+        const stlFiles = [];
+        const entries = [];
+
+        this.showLoading('Exporting STL files...');
+        const combined = await this.createSTL(this.model3D);
+        entries.push({ name: `${filename}.stl`, data: new Uint8Array(await combined.arrayBuffer()) });
+        for (const mesh of layerMeshes) {
+            const name = `stl/${this.getLayerFileName(filename, mesh)}.stl`;
+            const stl = await this.createSTL(mesh, true);
+            entries.push({ name, data: new Uint8Array(await stl.arrayBuffer()) });
+            stlFiles.push({ colorId: mesh.userData.colorId, file: name });
+        }
+
+        this.showLoading('Exporting GLB and OBJ files...');
+        entries.push({ name: `${filename}.glb`, data: new Uint8Array(await this.createGLB(metadata)) });
+        const { obj, mtl } = await this.createOBJ(filename, metadata);
+        entries.push({ name: `${filename}.obj`, data: obj }, { name: `${filename}.mtl`, data: mtl });
+
+        this.showLoading('Rendering flat color image...');
+        const canvas = this.renderFlatImage(await this.createColorMap());
+        const png = await this.canvasToPNG(canvas, metadata);
+        entries.push({ name: `${filename}-colors.png`, data: new Uint8Array(await png.arrayBuffer()) });
+
+        entries.push({
+            name: `${filename}.json`,
+            data: JSON.stringify(this.createExportManifest(entries.map(entry => entry.name), stlFiles, metadata), null, 2)
+        });
+
+        // Compressed in the mesh worker; the freshly built buffers are handed over
+        this.showLoading('Compressing ZIP bundle...');
+        const { data } = await this.runMeshTask('export-zip', { entries }, window.WorkerClient.collectTransferables(entries));
+
+        const blob = new Blob([data], { type: window.EXPORT_EXTENSIONS.zip.mimeType });
+        this.downloadBlob(blob, `${filename}.zip`);
+    }
+
+    /**
+     * Color layer meshes of the current model, bottom to top (empty for a lithophane)
+     * @returns {Array<THREE.Mesh>}
+     */
+    getLayerMeshes() {
+        return this.model3D.children
+            .filter(mesh => mesh.isMesh && mesh.userData.colorId !== undefined)
+            .sort((a, b) => a.userData.layerIndex - b.userData.layerIndex);
+    }
+
+    /**
+     * OBJ geometry with one material per color region (layer), and the MTL
+     * library it references
+     * @param {string} filename - Base name; the OBJ points at `${filename}.mtl`
+     * @param {ExportConfiguration['metadata']} [metadata] - Written as header comments in both files
+     * @returns {Promise<{obj: string, mtl: string}>}
+     */
+    async createOBJ(filename, metadata) {
+        const { OBJExporter } = await import('three/examples/jsm/exporters/OBJExporter.js');
+
+        // OBJExporter writes `o` and `usemtl` lines from the mesh and material names
+        const meshes = this.model3D.children.filter(mesh => mesh.isMesh);
+        const materials = meshes.map(mesh => {
+            const color = this.state.colors.find(c => c.id === mesh.userData.colorId);
+            const hex = color ? color.hex : `#${mesh.material.color.getHexString()}`;
+            const name = color
+                ? `layer_${mesh.userData.layerIndex + 1}_${hex.slice(1).toLowerCase()}`
+                : 'lithophane';
+
+            mesh.name = name;
+            mesh.material.name = name;
+            return { name, hex, layerIndex: mesh.userData.layerIndex ?? 0 };
+        }).sort((a, b) => a.layerIndex - b.layerIndex);
+
+        const header = window.ExportMetadata.comments(metadata);
+        const obj = `${header}mtllib ${filename}.mtl\n` + new OBJExporter().parse(this.model3D);
+
+        const mtl = materials.map(({ name, hex }) => {
+            const { r, g, b } = window.ImageProcessor.hexToRgb(hex);
+            const diffuse = [r, g, b].map(value => (value / 255).toFixed(4)).join(' ');
+            return [
+                `newmtl ${name}`,
+                'Ka 0.0000 0.0000 0.0000',
+                `Kd ${diffuse}`,
+                'Ks 0.0000 0.0000 0.0000',
+                'd 1.0',
+                'illum 1',
+                ''
+            ].join('\n');
+        }).join('\n');
+
+        return { obj, mtl: `# PolyHue material library: one material per color layer\n${header}\n${mtl}` };
+    }
+
+    /**
+     * Draw the color map at full image resolution in flat palette colors
+     * @param {Uint8Array} colorMap - createColorMap() result
+     * @returns {HTMLCanvasElement} Canvas with the quantized image (transparent where the image is)
+     */
+    renderFlatImage(colorMap) {
+        const { width, height } = this.state.image;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        const palette = this.state.colors.map(color => window.ImageProcessor.hexToRgb(color.hex));
+
+        for (let p = 0; p < colorMap.length; p++) {
+            const rgb = palette[colorMap[p]];
+            if (!rgb) continue;
+            imageData.data[p * 4] = rgb.r;
+            imageData.data[p * 4 + 1] = rgb.g;
+            imageData.data[p * 4 + 2] = rgb.b;
+            imageData.data[p * 4 + 3] = 255;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
     }
 
     /**
-     * Export all formats as ZIP
+     * Project and settings summary written next to the exported files
+     * @param {Array<string>} files - Files in the bundle
+     * @param {Array<{colorId: number, file: string}>} stlFiles - Per-color STL files
+     * @param {ExportConfiguration['metadata']} [metadata] - Export details from the dialog
+     * @returns {Object} JSON-serializable manifest
      */
-    async exportZIP(filename) {
-        // This would require a ZIP library like JSZip
-        // For now, just export STL as the main format
-        this.showError('ZIP export is not yet implemented. Please use individual export options.');
+    createExportManifest(files, stlFiles, metadata = {}) {
+        const { image, dimensions } = this.state;
+        const layers = [...this.state.colors].sort((a, b) => a.order - b.order);
+
+        return {
+            title: metadata.title || undefined,
+            author: metadata.author || undefined,
+            description: metadata.description || undefined,
+            software: metadata.software || 'PolyHue',
+            created: (metadata.created || new Date()).toISOString(),
+            units: 'mm',
+            image: {
+                fileName: image.fileName || null,
+                width: image.width,
+                height: image.height
+            },
+            model: {
+                mode: this.state.modelMode,
+                width: dimensions.width,
+                height: dimensions.height,
+                totalHeight: this.state.totalHeight,
+                lithophane: this.state.modelMode === window.COLOR_MODES.LITHOPHANE ? this.state.lithophane : undefined
+            },
+            layers: layers.map((color, index) => ({
+                order: index + 1,
+                hex: color.hex,
+                height: color.height,
+                percent: color.percent,
+                td: color.td,
+                filament: color.filament,
+                stl: stlFiles.find(entry => entry.colorId === color.id)?.file
+            })),
+            settings: {
+                quantization: this.state.quantization,
+                colorMapping: this.state.colorMapping,
+                tdLayering: this.state.tdLayering
+            },
+            files
+        };
     }
 
     /**
@@ -2115,6 +4401,12 @@ class PolyHueApp {
         if (messageEl) {
             messageEl.textContent = message;
         }
+
+        // Progress is shown once a task reports it
+        const progress = document.getElementById('loading-progress');
+        if (progress) {
+            progress.hidden = true;
+        }
         
         const overlay = document.getElementById('loading-overlay');
         if (overlay) {
@@ -2123,6 +4415,47 @@ class PolyHueApp {
         }
     }
 
+    /**
+     * Show task progress in the loading overlay
+     * @param {number} progress - Progress (0-100)
+     */
+    updateLoadingProgress(progress) {
+        const container = document.getElementById('loading-progress');
+        const bar = document.getElementById('loading-progress-bar');
+        if (container && bar) {
+            container.hidden = false;
+            bar.style.width = `${progress}%`;
+        }
+    }
+
+    /**
+     * Run an image processing task in the worker, with progress in the loading overlay
+     * @param {string} type - WorkerRequest type
+     * @param {Object} data - Task payload
+     * @returns {Promise<*>} Task result
+     */
+    runImageTask(type, data) {
+        return this.imageWorker.request(type, data, {
+            onProgress: progress => this.updateLoadingProgress(progress)
+        });
+    }
+
+    /**
+     * Run a mesh generation task in the worker, with progress in the loading overlay
+     * @param {string} type - WorkerRequest type
+     * @param {Object} data - Task payload
+     * @param {Array<ArrayBuffer>} [transfer] - Buffers to hand over to the worker
+     * @param {string} [group] - Cancel group ('model' for builds a newer build replaces)
+     * @returns {Promise<*>} Task result
+     */
+    runMeshTask(type, data, transfer = [], group = null) {
+        return this.meshWorker.request(type, data, {
+            onProgress: progress => this.updateLoadingProgress(progress),
+            transfer,
+            group
+        });
+    }
+
     /**
      * Hide loading overlay
      */
@@ -2218,21 +4551,59 @@ async function waitForDependencies() {
                 // Check if CRITICAL dependencies are loaded (required for app to function)
                 const hasImageProcessor = typeof window.ImageProcessor !== 'undefined';
                 const hasAppConstants = typeof window.APP_CONSTANTS !== 'undefined';
+                const hasColorQuantizer = typeof window.ColorQuantizer !== 'undefined';
+                const hasColorDistance = typeof window.ColorDistance !== 'undefined';
+                const hasColorMapper = typeof window.ColorMapper !== 'undefined';
+                const hasLithophaneGenerator = typeof window.LithophaneGenerator !== 'undefined';
+                const hasTdLayering = typeof window.TdLayering !== 'undefined';
+                const hasFilamentLibrary = typeof window.FilamentLibrary !== 'undefined';
+                const hasWorkerClient = typeof window.WorkerClient !== 'undefined';
+                const hasImageTasks = typeof window.ImageTasks !== 'undefined';
+                const hasMeshBuilder = typeof window.MeshBuilder !== 'undefined';
+                const hasMeshValidator = typeof window.MeshValidator !== 'undefined';
+                const hasZipWriter = typeof window.ZipWriter !== 'undefined';
+                const hasExportMetadata = typeof window.ExportMetadata !== 'undefined';
+                const hasThreeMFWriter = typeof window.ThreeMFWriter !== 'undefined';
+                const hasStlWriter = typeof window.StlWriter !== 'undefined';
+                const hasVectorizer = typeof window.Vectorizer !== 'undefined';
+                const hasSwapTable = typeof window.SwapTable !== 'undefined';
+                const hasGcodePatcher = typeof window.GcodePatcher !== 'undefined';
+                const hasMeshTasks = typeof window.MeshTasks !== 'undefined';
+                const hasProjectFile = typeof window.ProjectFile !== 'undefined';
+                const hasProjectStore = typeof window.ProjectStore !== 'undefined';
+                const hasEditHistory = typeof window.EditHistory !== 'undefined';
                 
                 // Check OPTIONAL dependencies (app can work without these in degraded mode)
-                const hasColorThief = typeof ColorThief !== 'undefined' || 
-                                    typeof window.ColorThief !== 'undefined';
-                
                 const hasChroma = typeof chroma !== 'undefined' || 
                                 typeof window.chroma !== 'undefined';
                 
-                const criticalDependenciesLoaded = hasImageProcessor && hasAppConstants;
-                const allDependenciesLoaded = criticalDependenciesLoaded && hasColorThief && hasChroma;
+                const criticalDependenciesLoaded = hasImageProcessor && hasAppConstants && hasColorQuantizer && hasColorDistance && hasColorMapper && hasLithophaneGenerator && hasTdLayering && hasFilamentLibrary && hasWorkerClient && hasImageTasks && hasMeshBuilder && hasMeshValidator && hasZipWriter && hasExportMetadata && hasThreeMFWriter && hasStlWriter && hasVectorizer && hasSwapTable && hasGcodePatcher && hasMeshTasks && hasProjectFile && hasProjectStore && hasEditHistory;
+                const allDependenciesLoaded = criticalDependenciesLoaded && hasChroma;
                 
                 console.log('Dependency check:', {
                     ImageProcessor: hasImageProcessor,
                     APP_CONSTANTS: hasAppConstants,
-                    ColorThief: hasColorThief,
+                    ColorQuantizer: hasColorQuantizer,
+                    ColorDistance: hasColorDistance,
+                    ColorMapper: hasColorMapper,
+                    LithophaneGenerator: hasLithophaneGenerator,
+                    TdLayering: hasTdLayering,
+                    FilamentLibrary: hasFilamentLibrary,
+                    WorkerClient: hasWorkerClient,
+                    ImageTasks: hasImageTasks,
+                    MeshBuilder: hasMeshBuilder,
+                    MeshValidator: hasMeshValidator,
+                    ZipWriter: hasZipWriter,
+                    ExportMetadata: hasExportMetadata,
+                    ThreeMFWriter: hasThreeMFWriter,
+                    StlWriter: hasStlWriter,
+                    Vectorizer: hasVectorizer,
+                    SwapTable: hasSwapTable,
+                    GcodePatcher: hasGcodePatcher,
+                    MeshTasks: hasMeshTasks,
+                    ProjectFile: hasProjectFile,
+                    ProjectStore: hasProjectStore,
+                    EditHistory: hasEditHistory,
                     chroma: hasChroma,
                     criticalLoaded: criticalDependenciesLoaded,
                     allLoaded: allDependenciesLoaded
@@ -2248,7 +4619,6 @@ async function waitForDependencies() {
                 // If critical dependencies are loaded but we've waited long enough, proceed anyway
                 if (criticalDependenciesLoaded && Date.now() - startTime > maxWaitTime) {
                     const missingOptional = [];
-                    if (!hasColorThief) missingOptional.push('ColorThief');
                     if (!hasChroma) missingOptional.push('chroma');
                     
                     console.warn('⚠️ Proceeding with missing optional dependencies:', missingOptional);
@@ -2261,6 +4631,27 @@ async function waitForDependencies() {
                     const missingCritical = [];
                     if (!hasImageProcessor) missingCritical.push('ImageProcessor');
                     if (!hasAppConstants) missingCritical.push('APP_CONSTANTS');
+                    if (!hasColorQuantizer) missingCritical.push('ColorQuantizer');
+                    if (!hasColorDistance) missingCritical.push('ColorDistance');
+                    if (!hasColorMapper) missingCritical.push('ColorMapper');
+                    if (!hasLithophaneGenerator) missingCritical.push('LithophaneGenerator');
+                    if (!hasTdLayering) missingCritical.push('TdLayering');
+                    if (!hasFilamentLibrary) missingCritical.push('FilamentLibrary');
+                    if (!hasWorkerClient) missingCritical.push('WorkerClient');
+                    if (!hasImageTasks) missingCritical.push('ImageTasks');
+                    if (!hasMeshBuilder) missingCritical.push('MeshBuilder');
+                    if (!hasMeshValidator) missingCritical.push('MeshValidator');
+                    if (!hasZipWriter) missingCritical.push('ZipWriter');
+                    if (!hasExportMetadata) missingCritical.push('ExportMetadata');
+                    if (!hasThreeMFWriter) missingCritical.push('ThreeMFWriter');
+                    if (!hasStlWriter) missingCritical.push('StlWriter');
+                    if (!hasVectorizer) missingCritical.push('Vectorizer');
+                    if (!hasSwapTable) missingCritical.push('SwapTable');
+                    if (!hasGcodePatcher) missingCritical.push('GcodePatcher');
+                    if (!hasMeshTasks) missingCritical.push('MeshTasks');
+                    if (!hasProjectFile) missingCritical.push('ProjectFile');
+                    if (!hasProjectStore) missingCritical.push('ProjectStore');
+                    if (!hasEditHistory) missingCritical.push('EditHistory');
                     
                     console.warn('⚠️ Timeout reached, proceeding with missing dependencies:', missingCritical);
                     resolve({ status: 'timeout', missing: missingCritical });
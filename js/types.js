@@ -23,16 +23,40 @@ window.APP_CONSTANTS = {
     MIN_MODEL_HEIGHT: 0.5, // mm
     MAX_MODEL_HEIGHT: 50.0, // mm
     DEFAULT_MODEL_HEIGHT: 12.0, // mm
+    MIN_MODEL_SIZE: 5, // mm, width or depth
+    MAX_MODEL_SIZE: 500, // mm, width or depth
+    DEFAULT_MODEL_SIZE: 100, // mm along the longest side
+    MM_PER_INCH: 25.4,
     MIN_LAYER_HEIGHT: 0.1, // mm
+    DEFAULT_FILAMENT_TD: 2.0, // mm, transmission distance for colors without a filament
+    DEFAULT_PRINT_LAYER_HEIGHT: 0.2, // mm, for the filament swap table and the TD stack
+    DEFAULT_FIRST_LAYER_HEIGHT: 0.2, // mm
+    MIN_PRINT_LAYER_HEIGHT: 0.08, // mm, TD blending needs thin layers
+    MAX_PRINT_LAYER_HEIGHT: 0.2, // mm
+    DEFAULT_LITHOPHANE_MIN_THICKNESS: 0.8, // mm
+    DEFAULT_LITHOPHANE_MAX_THICKNESS: 3.2, // mm
+    DEFAULT_LITHOPHANE_CURVE_ANGLE: 120, // degrees
+    MAX_LITHOPHANE_CURVE_ANGLE: 355, // degrees; at a full turn the end walls would meet
     
     // Performance settings
     PREVIEW_MAX_SIZE: 512, // pixels for preview generation
     QUANTIZATION_COLORS: 16, // initial quantization before user reduction
+    LITHOPHANE_MAX_SAMPLES: 512, // thickness grid points along the longest side
+    QUANTIZATION_MAX_SAMPLES: 100000, // pixels sampled for palette extraction
+    DEFAULT_QUANTIZATION_ALGORITHM: 'k-means',
+    DEFAULT_QUANTIZATION_SEED: 1,
+    DEFAULT_COLOR_METRIC: 'ciede2000',
+    MIN_COLOR_COVERAGE: 1, // % of the image a color can be squeezed down to
     
     // UI settings
     UPLOAD_TIMEOUT: 30000, // ms
     ANIMATION_DURATION: 300, // ms
     DEBOUNCE_DELAY: 500, // ms
+    PREVIEW_DEBOUNCE_DELAY: 150, // ms
+    AUTOSAVE_DELAY: 2000, // ms after the last edit
+    RECENT_THUMBNAIL_SIZE: 96, // px
+    HISTORY_LIMIT: 100, // undo steps kept
+    HISTORY_MERGE_WINDOW: 1000, // ms; repeated edits to one control within it are one undo step
 };
 
 // Export format definitions
@@ -42,9 +66,20 @@ window.EXPORT_EXTENSIONS = {
     obj: { extension: '.obj', mimeType: 'application/x-tgif' },
     mtl: { extension: '.mtl', mimeType: 'application/x-tgif' },
     png: { extension: '.png', mimeType: 'image/png' },
+    svg: { extension: '.svg', mimeType: 'image/svg+xml' },
+    md: { extension: '.md', mimeType: 'text/markdown' },
+    json: { extension: '.json', mimeType: 'application/json' },
+    txt: { extension: '.txt', mimeType: 'text/plain' },
+    polyhue: { extension: '.polyhue', mimeType: 'application/json' },
+    '3mf': { extension: '.3mf', mimeType: 'model/3mf' },
     zip: { extension: '.zip', mimeType: 'application/zip' }
 };
 
+// Beta feature toggles (defaults; the user's choices are kept in localStorage)
+window.FEATURE_FLAGS = {
+    is3mfEnabled: false
+};
+
 // Supported image formats
 window.SUPPORTED_FORMATS = {
     'image/png': ['.png'],
@@ -66,6 +101,41 @@ window.COLOR_MODES = {
     COLOR: 'color'
 };
 
+// Units for the model's physical dimensions (meshes are always built in mm)
+window.LENGTH_UNITS = {
+    MM: 'mm',
+    INCHES: 'inches'
+};
+
+// Lithophane backing shapes
+window.LITHOPHANE_BACKINGS = {
+    FLAT: 'flat',
+    CURVED: 'curved'
+};
+
+// Color quantization algorithms
+window.QUANTIZATION_ALGORITHMS = {
+    MEDIAN_CUT: 'median-cut',
+    K_MEANS: 'k-means',
+    OCTREE: 'octree'
+};
+
+// Pixel-to-palette color distance metrics
+window.COLOR_METRICS = {
+    RGB: 'rgb',
+    DELTA_E_76: 'delta-e-76',
+    DELTA_E_94: 'delta-e-94',
+    CIEDE2000: 'ciede2000'
+};
+
+// Dithering modes for pixel-to-palette assignment
+window.DITHERING_MODES = {
+    NONE: 'none',
+    FLOYD_STEINBERG: 'floyd-steinberg',
+    ATKINSON: 'atkinson',
+    ORDERED: 'ordered'
+};
+
 // Export quality settings
 window.EXPORT_QUALITY = {
     LOW: 'low',
@@ -103,6 +173,8 @@ interface ColorRegion {
     custom: boolean;
     height: number;
     order: number;
+    td?: number; // filament transmission distance in mm
+    filament?: { vendor: string; name: string }; // set when snapped to an owned filament
     pixels?: ImageData;
     bounds?: {
         minX: number;
@@ -126,20 +198,38 @@ interface ImageData {
 interface ProjectState {
     image: ImageData | null;
     colors: ColorRegion[];
+    paletteLocked: boolean; // fixed user palette, not replaced by re-analysis or count changes
     totalHeight: number;
+    dimensions: ModelDimensions;
     currentStep: number;
+    quantization: { algorithm: string; seed: number };
+    colorMapping: ColorMappingOptions;
+    tdLayering: TdLayeringOptions;
+    swapTable: SwapTableOptions;
+    modelMode: 'color' | 'lithophane';
+    lithophane: LithophaneOptions;
     exportSettings: ExportSettings;
     isDirty: boolean;
     lastModified: Date;
 }
 
+interface ModelDimensions {
+    width: number; // mm
+    height: number; // mm, depth of the printed footprint
+    lockAspect: boolean; // keep the image aspect ratio
+    units: 'mm' | 'inches'; // units the size is shown and entered in
+}
+
 interface ExportSettings {
     format: string;
     quality: string;
     includeColors: boolean;
     optimize: boolean;
     scale: number;
+    splitByColor: boolean; // one STL per color layer
+    stlFormat: 'binary' | 'ascii';
     filename?: string;
+    title?: string;
     author?: string;
     description?: string;
 }
@@ -164,6 +254,109 @@ interface ColorQuantizationOptions {
     quality: number;
     maxColors?: number;
     algorithm?: 'median-cut' | 'k-means' | 'octree';
+    maxSamples?: number;
+    maxIterations?: number;
+    seed?: number;
+    onProgress?: (fraction: number) => void;
+}
+
+interface LabColor {
+    l: number;
+    a: number;
+    b: number;
+}
+
+interface ColorMappingOptions {
+    metric: 'rgb' | 'delta-e-76' | 'delta-e-94' | 'ciede2000';
+    enforceCoverage: boolean; // treat ColorRegion.percent as an assignment target
+    dithering: 'none' | 'floyd-steinberg' | 'atkinson' | 'ordered';
+    ditherStrength: number; // 0-1
+}
+
+interface Filament {
+    id: string; // vendor|name|hex, lowercased
+    vendor: string;
+    name: string;
+    hex: string;
+    td: number; // transmission distance in mm
+}
+
+interface TdLayeringOptions {
+    enabled: boolean; // preview and build the blended filament stack, sliced at the swap table's layer heights
+}
+
+interface SwapTableOptions {
+    layerHeight: number; // mm, slicer layer height, 0.08-0.2
+    firstLayerHeight: number; // mm, 0.08-0.2
+    macro: string; // command the G-code patcher inserts per change
+}
+
+interface PolyHueProject {
+    format: 'polyhue';
+    version: number; // schema version, ProjectFile.VERSION when saved
+    savedAt: string; // ISO date
+    image: {
+        src: string; // PNG data URL of the working image
+        fileName: string;
+        fileSize: number;
+        format: string;
+        width: number;
+        height: number;
+        originalDimensions?: { width: number; height: number };
+    };
+    colors: ColorRegion[]; // without rgb, derived from hex on load
+    settings: Partial<ProjectState>; // ProjectFile.SETTINGS keys
+    currentStep: number;
+}
+
+interface StoredProject {
+    id: string;
+    name: string; // export title or default file name
+    updatedAt: number; // ms since epoch
+    thumbnail: string; // JPEG data URL for the recent projects list
+    image: Blob; // working image PNG
+    project: PolyHueProject; // with image.src null; the Blob replaces it
+}
+
+interface HistoryEntry {
+    label: string; // action name shown in the history panel
+    before: string; // serialized colors and settings before the edit
+    after: string; // and after it
+    mergeKey: string | null; // quick repeated edits with the same key share one entry
+    time: number; // ms since epoch of the latest merged edit
+}
+
+interface GcodePatchSummary {
+    layers: number; // layers found in the G-code
+    height: number; // mm, Z of the top layer
+    inserted: Array<{ name: string; hex: string; boundary: number; z: number; layer: number; line: number }>;
+    skipped: string[]; // colors thinner than a layer
+    missed: string[]; // colors above the top layer
+}
+
+interface SwapTableResult {
+    layerHeight: number;
+    firstLayerHeight: number;
+    layerCount: number; // print layers in the whole stack
+    totalHeight: number; // mm, printed height after snapping to layers
+    rows: Array<{
+        hex: string;
+        name: string;
+        startLayer: number; // 1-based first print layer in this color
+        endLayer: number; // last print layer in this color
+        layers: number; // 0 when the color is too thin to print
+        startZ: number; // mm, bottom of the first layer
+        z: number; // mm, top of the first layer: the slicer's color change height
+    }>;
+    skipped: string[]; // names of colors that get no layers
+}
+
+interface LithophaneOptions {
+    minThickness: number; // mm, brightest areas
+    maxThickness: number; // mm, darkest areas
+    invert: boolean; // bright areas thick (negative)
+    backing: 'flat' | 'curved';
+    curveAngle: number; // degrees, curved backing only
 }
 
 interface ModelGenerationOptions {
@@ -201,6 +394,18 @@ interface ThreeDModel {
     faceCount: number;
 }
 
+interface MeshValidationReport {
+    triangleCount: number;
+    shellCount: number;
+    openEdges: number;
+    nonManifoldEdges: number;
+    flippedEdges: number;
+    invertedShells: number;
+    degenerateTriangles: number;
+    selfIntersections: number | null; // null when too large to check
+    valid: boolean;
+}
+
 interface StepConfiguration {
     id: number;
     name: string;
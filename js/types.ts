@@ -34,6 +34,32 @@ export interface ColorRegion {
     
     /** Whether this color region is currently visible/enabled */
     enabled: boolean;
+    
+    /** Filament transmission distance in millimeters */
+    td?: number;
+    
+    /** Owned filament this color was snapped to */
+    filament?: Pick<Filament, 'vendor' | 'name'>;
+}
+
+/**
+ * A filament spool: vendor/name + HEX + transmission distance (TD)
+ */
+export interface Filament {
+    /** Stable identifier (vendor|name|hex, lowercased) */
+    id: string;
+    
+    /** Manufacturer */
+    vendor: string;
+    
+    /** Product / color name */
+    name: string;
+    
+    /** HEX color value (e.g., "#ff0000") */
+    hex: string;
+    
+    /** Transmission distance in millimeters */
+    td: number;
 }
 
 /**
@@ -71,7 +97,7 @@ export interface ImageData {
 /**
  * Export format options
  */
-export type ExportFormat = 'stl' | 'glb' | 'obj' | 'png' | 'zip';
+export type ExportFormat = 'stl' | 'glb' | 'obj' | 'png' | 'masks' | 'svg' | 'zip' | '3mf';
 
 /**
  * Export quality settings
@@ -101,6 +127,36 @@ export interface ExportSettings {
     
     /** Scale factor for the model */
     scale: number;
+    
+    /** Write one STL per color layer instead of a single merged body */
+    splitByColor: boolean;
+    
+    /** STL encoding; binary is far smaller */
+    stlFormat: 'binary' | 'ascii';
+    
+    /** Base name for exported files, from the export dialog */
+    filename?: string;
+    
+    /** Title embedded in exported files */
+    title?: string;
+    
+    /** Author embedded in exported files */
+    author?: string;
+    
+    /** Description embedded in exported files */
+    description?: string;
+}
+
+/**
+ * Metadata embedded in exported files (GLB asset extras, 3MF metadata,
+ * OBJ/MTL comments, PNG text chunks, SVG title and description)
+ */
+export interface ExportMetadata {
+    title?: string;
+    author?: string;
+    description?: string;
+    created?: Date;
+    software?: string;
 }
 
 /**
@@ -113,12 +169,36 @@ export interface ProjectState {
     /** Array of color regions/layers */
     colors: ColorRegion[];
     
+    /** Colors are a fixed user palette, kept through re-analysis and count changes */
+    paletteLocked: boolean;
+    
     /** Total height of the 3D model in millimeters */
     totalHeight: number;
     
+    /** Printed footprint size */
+    dimensions: ModelDimensions;
+    
     /** Current step in the workflow */
     currentStep: AppStep;
     
+    /** Palette extraction settings */
+    quantization: Pick<QuantizationOptions, 'algorithm' | 'seed'>;
+    
+    /** Pixel-to-palette assignment settings */
+    colorMapping: ColorMappingOptions;
+    
+    /** Filament blend (TD) layering settings */
+    tdLayering: TdLayeringOptions;
+    
+    /** Slicer layer heights for the filament swap table and the TD stack */
+    swapTable: SwapTableOptions;
+    
+    /** Which model step 3 builds */
+    modelMode: ModelMode;
+    
+    /** Lithophane settings (used when modelMode is 'lithophane') */
+    lithophane: LithophaneOptions;
+    
     /** Export configuration */
     exportSettings: ExportSettings;
     
@@ -158,7 +238,7 @@ export interface QuantizationOptions {
     colorCount: number;
     
     /** Quantization algorithm to use */
-    algorithm: 'kmeans' | 'mediancut' | 'octree';
+    algorithm: 'k-means' | 'median-cut' | 'octree';
     
     /** Quality vs speed trade-off (1-10) */
     quality: number;
@@ -168,6 +248,238 @@ export interface QuantizationOptions {
     
     /** Maximum iterations for k-means */
     maxIterations: number;
+    
+    /** Seed for deterministic k-means++ initialisation */
+    seed: number;
+}
+
+/**
+ * Color distance metric used for pixel-to-palette assignment
+ */
+export type ColorMetric = 'rgb' | 'delta-e-76' | 'delta-e-94' | 'ciede2000';
+
+/**
+ * Pixel-to-palette assignment options
+ */
+export interface ColorMappingOptions {
+    /** Distance metric (ΔE metrics are computed in CIELAB) */
+    metric: ColorMetric;
+    
+    /** Bias assignment so each color covers its `percent` of the image */
+    enforceCoverage: boolean;
+    
+    /** Dithering applied during assignment */
+    dithering: 'none' | 'floyd-steinberg' | 'atkinson' | 'ordered';
+    
+    /** Dithering strength (0-1) */
+    ditherStrength: number;
+}
+
+/**
+ * Filament transmission-distance layering options
+ */
+export interface TdLayeringOptions {
+    /** Preview and build the blended filament stack instead of flat colors (sliced at the swapTable layer heights) */
+    enabled: boolean;
+}
+
+/**
+ * Slicer settings the filament swap table is computed for
+ */
+export interface SwapTableOptions {
+    /** Layer height in mm (0.08-0.2) */
+    layerHeight: number;
+    
+    /** First layer height in mm (0.08-0.2) */
+    firstLayerHeight: number;
+    
+    /** Command the G-code patcher inserts at each change, e.g. M600 */
+    macro: string;
+}
+
+/**
+ * One color of the swap table
+ */
+export interface SwapTableRow {
+    hex: string;
+    
+    /** Filament name and hex, or just the hex */
+    name: string;
+    
+    /** 1-based first print layer in this color */
+    startLayer: number;
+    
+    /** Last print layer in this color */
+    endLayer: number;
+    
+    /** Print layers in this color; 0 when it is too thin to print */
+    layers: number;
+    
+    /** Bottom of the first layer in mm */
+    startZ: number;
+    
+    /** Top of the first layer in mm: the slicer's color change height */
+    z: number;
+}
+
+/**
+ * SwapTable.create() result
+ */
+export interface SwapTableResult extends SwapTableOptions {
+    /** Print layers in the whole stack */
+    layerCount: number;
+    
+    /** Printed height after snapping to layers, in mm */
+    totalHeight: number;
+    
+    /** Colors bottom to top; every row after the first is a swap */
+    rows: SwapTableRow[];
+    
+    /** Names of colors that get no layers */
+    skipped: string[];
+}
+
+/**
+ * Saved .polyhue project (versioned JSON)
+ */
+export interface PolyHueProject {
+    format: 'polyhue';
+    
+    /** Schema version; older files are migrated on load */
+    version: number;
+    
+    /** ISO timestamp of the save */
+    savedAt: string;
+    
+    /** Working image as a PNG data URL, with its upload details */
+    image: {
+        src: string;
+        fileName: string;
+        fileSize: number;
+        format: string;
+        width: number;
+        height: number;
+        originalDimensions?: { width: number; height: number };
+    };
+    
+    /** Color regions */
+    colors: ColorRegion[];
+    
+    /** Saved settings; ones added after the save take their defaults */
+    settings: Partial<ProjectState>;
+    
+    /** Step the project was saved on */
+    currentStep: number;
+}
+
+/**
+ * Autosaved project in the IndexedDB project store
+ */
+export interface StoredProject {
+    id: string;
+    
+    /** Export title, or the default file name */
+    name: string;
+    
+    /** Milliseconds since the epoch */
+    updatedAt: number;
+    
+    /** JPEG data URL for the recent projects list */
+    thumbnail: string;
+    
+    /** Working image as a PNG */
+    image: Blob;
+    
+    /** Project without the embedded image (image.src is null) */
+    project: PolyHueProject;
+}
+
+/**
+ * One undoable edit in the EditHistory stack
+ */
+export interface HistoryEntry {
+    /** Action name shown in the history panel */
+    label: string;
+    
+    /** Serialized colors and settings before the edit */
+    before: string;
+    
+    /** Serialized colors and settings after the edit */
+    after: string;
+    
+    /** Quick repeated edits with the same key share one entry */
+    mergeKey: string | null;
+    
+    /** Milliseconds since the epoch of the latest merged edit */
+    time: number;
+}
+
+/**
+ * GcodePatcher.patch() summary
+ */
+export interface GcodePatchSummary {
+    /** Layers found in the G-code */
+    layers: number;
+    
+    /** Z of the top layer in mm */
+    height: number;
+    
+    /** Inserted changes: color, model boundary and the layer (Z, 1-based number, output line) it went before */
+    inserted: Array<{ name: string; hex: string; boundary: number; z: number; layer: number; line: number }>;
+    
+    /** Colors thinner than a layer, never printed */
+    skipped: string[];
+    
+    /** Colors above the top layer */
+    missed: string[];
+}
+
+/**
+ * Model produced in step 3
+ */
+export type ModelMode = 'color' | 'lithophane';
+
+/**
+ * Lithophane generation options
+ */
+export interface LithophaneOptions {
+    /** Thickness of the brightest areas (mm) */
+    minThickness: number;
+    
+    /** Thickness of the darkest areas (mm) */
+    maxThickness: number;
+    
+    /** Make bright areas thick instead (negative lithophane) */
+    invert: boolean;
+    
+    /** Backing shape */
+    backing: 'flat' | 'curved';
+    
+    /** Arc covered by a curved backing (degrees) */
+    curveAngle: number;
+}
+
+/**
+ * Units the model size is shown and entered in
+ */
+export type LengthUnit = 'mm' | 'inches';
+
+/**
+ * Physical footprint of the printed model. Meshes are built in true
+ * millimetres whatever the display units.
+ */
+export interface ModelDimensions {
+    /** Width in millimeters */
+    width: number;
+    
+    /** Depth of the footprint (image height) in millimeters */
+    height: number;
+    
+    /** Keep the image aspect ratio when either side changes */
+    lockAspect: boolean;
+    
+    /** Display and input units */
+    units: LengthUnit;
 }
 
 /**
@@ -287,6 +599,35 @@ export interface MeshResult {
     };
 }
 
+/**
+ * Slicer-readiness checks for one mesh (see MeshValidator)
+ */
+export interface MeshValidationReport {
+    triangleCount: number;
+    
+    /** Connected closed pieces */
+    shellCount: number;
+    
+    /** Edges used by only one triangle (holes) */
+    openEdges: number;
+    
+    /** Edges shared by more than two triangles */
+    nonManifoldEdges: number;
+    
+    /** Edges whose two triangles wind the same way */
+    flippedEdges: number;
+    
+    /** Shells whose normals point inwards */
+    invertedShells: number;
+    
+    degenerateTriangles: number;
+    
+    /** Crossing triangle pairs; null when the mesh was too large to check */
+    selfIntersections: number | null;
+    
+    valid: boolean;
+}
+
 // ================================================
 // Utility Types
 // ================================================
@@ -412,14 +753,15 @@ export interface WorkerMessage {
  * Worker request message
  */
 export interface WorkerRequest extends WorkerMessage {
-    type: 'quantize' | 'mesh-generate' | 'export';
+    type: 'set-image' | 'quantize' | 'measure-coverage' | 'solve-coverage' | 'map-colors' | 'assign-layers' | 'render-preview' | 'trace-svg'
+        | 'mesh-generate' | 'lithophane-generate' | 'validate' | 'export-stl' | 'export-3mf' | 'export-zip' | 'patch-gcode' | 'export';
 }
 
 /**
  * Worker response message
  */
 export interface WorkerResponse extends WorkerMessage {
-    type: 'success' | 'error' | 'progress';
+    type: 'success' | 'error' | 'progress' | 'ready';
     
     /** Whether this is the final response */
     final?: boolean;
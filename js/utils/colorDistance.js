@@ -0,0 +1,267 @@
+/**
+ * PolyHue - Perceptual Color Distance
+ *
+ * sRGB → CIELAB conversion and the ΔE metrics used to assign image
+ * pixels to palette colors (ΔE76, ΔE94, CIEDE2000), plus a plain RGB
+ * metric for speed comparisons.
+ */
+
+/**
+ * Color distance class with static methods for conversion and matching
+ */
+window.ColorDistance = class ColorDistance {
+
+    /**
+     * Convert an sRGB color to CIELAB (D65 white point)
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {{l: number, a: number, b: number}} Lab color
+     */
+    static rgbToLab(r, g, b) {
+        const lut = this.getLinearLut();
+        const lr = lut[Math.round(r)];
+        const lg = lut[Math.round(g)];
+        const lb = lut[Math.round(b)];
+
+        // Linear sRGB → XYZ, normalized by the D65 reference white
+        const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+        const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+        const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+
+        const fx = this.labPivot(x);
+        const fy = this.labPivot(y);
+        const fz = this.labPivot(z);
+
+        return {
+            l: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    /**
+     * CIELAB companding function
+     */
+    static labPivot(t) {
+        return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    }
+
+    /**
+     * Lookup table mapping 8-bit sRGB channel values to linear light
+     * @returns {Float64Array} 256 linear values
+     */
+    static getLinearLut() {
+        if (!this.linearLut) {
+            this.linearLut = new Float64Array(256);
+            for (let i = 0; i < 256; i++) {
+                const c = i / 255;
+                this.linearLut[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            }
+        }
+        return this.linearLut;
+    }
+
+    /**
+     * CIE76 color difference (Euclidean distance in Lab)
+     */
+    static deltaE76(lab1, lab2) {
+        const dl = lab1.l - lab2.l;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    /**
+     * CIE94 color difference (graphic arts weights)
+     */
+    static deltaE94(lab1, lab2) {
+        const dl = lab1.l - lab2.l;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const dc = c1 - c2;
+        const dh2 = Math.max(0, da * da + db * db - dc * dc);
+
+        const sc = 1 + 0.045 * c1;
+        const sh = 1 + 0.015 * c1;
+
+        return Math.sqrt(dl * dl + (dc / sc) * (dc / sc) + dh2 / (sh * sh));
+    }
+
+    /**
+     * CIEDE2000 color difference (kL = kC = kH = 1)
+     */
+    static ciede2000(lab1, lab2) {
+        const rad = Math.PI / 180;
+        const pow25To7 = 6103515625; // 25^7
+
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const cBar7 = Math.pow((c1 + c2) / 2, 7);
+        const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + pow25To7)));
+
+        const a1 = lab1.a * (1 + g);
+        const a2 = lab2.a * (1 + g);
+        const cp1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+        const cp2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+        const hp1 = this.hueAngle(lab1.b, a1);
+        const hp2 = this.hueAngle(lab2.b, a2);
+
+        const dL = lab2.l - lab1.l;
+        const dC = cp2 - cp1;
+
+        let dh = 0;
+        if (cp1 * cp2 !== 0) {
+            dh = hp2 - hp1;
+            if (dh > 180) dh -= 360;
+            else if (dh < -180) dh += 360;
+        }
+        const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh * rad / 2);
+
+        const lBar = (lab1.l + lab2.l) / 2;
+        const cpBar = (cp1 + cp2) / 2;
+
+        let hBar = hp1 + hp2;
+        if (cp1 * cp2 !== 0) {
+            if (Math.abs(hp1 - hp2) <= 180) hBar /= 2;
+            else hBar = hp1 + hp2 < 360 ? (hBar + 360) / 2 : (hBar - 360) / 2;
+        }
+
+        const t = 1
+            - 0.17 * Math.cos((hBar - 30) * rad)
+            + 0.24 * Math.cos(2 * hBar * rad)
+            + 0.32 * Math.cos((3 * hBar + 6) * rad)
+            - 0.20 * Math.cos((4 * hBar - 63) * rad);
+
+        const lBar50 = (lBar - 50) * (lBar - 50);
+        const sl = 1 + 0.015 * lBar50 / Math.sqrt(20 + lBar50);
+        const sc = 1 + 0.045 * cpBar;
+        const sh = 1 + 0.015 * cpBar * t;
+
+        const cpBar7 = Math.pow(cpBar, 7);
+        const dTheta = 30 * Math.exp(-Math.pow((hBar - 275) / 25, 2));
+        const rt = -2 * Math.sqrt(cpBar7 / (cpBar7 + pow25To7)) * Math.sin(2 * dTheta * rad);
+
+        const lTerm = dL / sl;
+        const cTerm = dC / sc;
+        const hTerm = dH / sh;
+
+        return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + rt * cTerm * hTerm);
+    }
+
+    /**
+     * Hue angle in degrees (0-360)
+     */
+    static hueAngle(b, a) {
+        if (a === 0 && b === 0) return 0;
+        const angle = Math.atan2(b, a) * 180 / Math.PI;
+        return angle < 0 ? angle + 360 : angle;
+    }
+
+    /**
+     * Distance between two RGB colors using the given metric
+     * @param {RGB} rgb1 - First color
+     * @param {RGB} rgb2 - Second color
+     * @param {string} metric - One of window.COLOR_METRICS
+     * @returns {number} Distance (metric-specific scale)
+     */
+    static distance(rgb1, rgb2, metric = window.APP_CONSTANTS.DEFAULT_COLOR_METRIC) {
+        if (metric === window.COLOR_METRICS.RGB) {
+            const dr = rgb1.r - rgb2.r;
+            const dg = rgb1.g - rgb2.g;
+            const db = rgb1.b - rgb2.b;
+            return Math.sqrt(dr * dr + dg * dg + db * db);
+        }
+
+        const compare = this.getLabComparator(metric);
+        return compare(this.rgbToLab(rgb1.r, rgb1.g, rgb1.b), this.rgbToLab(rgb2.r, rgb2.g, rgb2.b));
+    }
+
+    /**
+     * Resolve the Lab comparison function for a metric
+     */
+    static getLabComparator(metric) {
+        switch (metric) {
+            case window.COLOR_METRICS.DELTA_E_76:
+                return this.deltaE76.bind(this);
+            case window.COLOR_METRICS.DELTA_E_94:
+                return this.deltaE94.bind(this);
+            case window.COLOR_METRICS.CIEDE2000:
+                return this.ciede2000.bind(this);
+            default:
+                throw new Error(`Unknown color metric: ${metric}`);
+        }
+    }
+
+    /**
+     * Create a nearest-palette-color lookup for repeated pixel queries.
+     * Results are cached per RGB value, so photos with many repeated
+     * colors only pay for each distinct color once. Nearest indices are
+     * cached for every distinct color; full distance rows cost one value
+     * per palette entry, so long palettes (a TD stack has one entry per
+     * print layer) keep fewer of them.
+     * @param {Array<RGB>} palette - Palette colors
+     * @param {string} metric - One of window.COLOR_METRICS
+     * @returns {{ size: number, palette: Array<RGB>, nearest: function(number, number, number): number, distances: function(number, number, number): Float64Array }}
+     *          nearest() returns the palette index; distances() returns the distance to every entry
+     */
+    static createMatcher(palette, metric = window.APP_CONSTANTS.DEFAULT_COLOR_METRIC) {
+        const count = palette.length;
+        const cache = new Map();
+        const nearestCache = new Map();
+        const maxCacheSize = 1 << 18;
+        const maxRowCacheSize = Math.min(maxCacheSize, Math.max(256, Math.floor((1 << 21) / Math.max(1, count))));
+
+        let measure;
+        if (metric === window.COLOR_METRICS.RGB) {
+            measure = (r, g, b, out) => {
+                for (let i = 0; i < count; i++) {
+                    const dr = r - palette[i].r;
+                    const dg = g - palette[i].g;
+                    const db = b - palette[i].b;
+                    out[i] = Math.sqrt(dr * dr + dg * dg + db * db);
+                }
+            };
+        } else {
+            const compare = this.getLabComparator(metric);
+            const paletteLab = palette.map(color => this.rgbToLab(color.r, color.g, color.b));
+            measure = (r, g, b, out) => {
+                const lab = this.rgbToLab(r, g, b);
+                for (let i = 0; i < count; i++) {
+                    out[i] = compare(lab, paletteLab[i]);
+                }
+            };
+        }
+
+        const distances = (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let result = cache.get(key);
+            if (!result) {
+                result = new Float64Array(count);
+                measure(r, g, b, result);
+                if (cache.size >= maxRowCacheSize) cache.clear();
+                cache.set(key, result);
+            }
+            return result;
+        };
+
+        const nearest = (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let best = nearestCache.get(key);
+            if (best === undefined) {
+                const result = distances(r, g, b);
+                best = 0;
+                for (let i = 1; i < count; i++) {
+                    if (result[i] < result[best]) best = i;
+                }
+                if (nearestCache.size >= maxCacheSize) nearestCache.clear();
+                nearestCache.set(key, best);
+            }
+            return best;
+        };
+
+        return { size: count, palette, nearest, distances };
+    }
+};
@@ -0,0 +1,414 @@
+/**
+ * PolyHue - Pixel-to-Palette Mapping
+ *
+ * Assigns image pixels to palette entries. Assignment is nearest-color
+ * under the configured distance metric, optionally shifted by a
+ * per-color bias so each color's share of the image can be steered
+ * towards a requested coverage percentage, and optionally dithered
+ * (Floyd–Steinberg, Atkinson or ordered Bayer) to reduce banding.
+ */
+
+/**
+ * Color mapper class with static methods for pixel assignment
+ */
+window.ColorMapper = class ColorMapper {
+
+    /**
+     * Palette index used for transparent pixels
+     */
+    static get TRANSPARENT() {
+        return 255;
+    }
+
+    /**
+     * Error diffusion kernels: [dx, dy, weight] taps and the weight divisor
+     */
+    static get DIFFUSION_KERNELS() {
+        return {
+            [window.DITHERING_MODES.FLOYD_STEINBERG]: {
+                divisor: 16,
+                taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+            },
+            // Atkinson only diffuses 6/8 of the error, which keeps contrast high
+            [window.DITHERING_MODES.ATKINSON]: {
+                divisor: 8,
+                taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+            }
+        };
+    }
+
+    /**
+     * Assign every pixel of an image to a palette index
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} matcher - Matcher from ColorDistance.createMatcher()
+     * @param {Object} options - { bias: Float64Array | null, dithering: string, ditherStrength: number (0-1),
+     *                            onProgress: function(number) called with the fraction of rows done }
+     * @returns {{indices: Uint8Array, counts: Uint32Array}} Palette index per pixel and pixel count per palette entry
+     */
+    static mapPixels(pixels, width, height, matcher, options = {}) {
+        const { bias = null, dithering = window.DITHERING_MODES.NONE, ditherStrength = 1, onProgress = null } = options;
+
+        if (dithering !== window.DITHERING_MODES.NONE && ditherStrength > 0) {
+            if (dithering === window.DITHERING_MODES.ORDERED) {
+                return this.mapPixelsOrdered(pixels, width, height, matcher, bias, ditherStrength, onProgress);
+            }
+
+            const kernel = this.DIFFUSION_KERNELS[dithering];
+            if (!kernel) {
+                throw new Error(`Unknown dithering mode: ${dithering}`);
+            }
+            return this.mapPixelsDiffused(pixels, width, height, matcher, bias, kernel, ditherStrength, onProgress);
+        }
+
+        const indices = new Uint8Array(width * height);
+        const counts = new Uint32Array(matcher.size);
+
+        for (let y = 0; y < height; y++) {
+            this.reportRow(onProgress, y, height);
+
+            for (let p = y * width; p < (y + 1) * width; p++) {
+                const i = p * 4;
+
+                // Skip transparent pixels
+                if (pixels[i + 3] < 128) {
+                    indices[p] = this.TRANSPARENT;
+                    continue;
+                }
+
+                const index = this.nearestWithBias(matcher.distances(pixels[i], pixels[i + 1], pixels[i + 2]), bias);
+                indices[p] = index;
+                counts[index]++;
+            }
+        }
+
+        return { indices, counts };
+    }
+
+    /**
+     * Report row progress every 64 rows
+     * @param {function(number)|null} onProgress - Progress callback (fraction 0-1)
+     * @param {number} y - Current row
+     * @param {number} height - Total rows
+     */
+    static reportRow(onProgress, y, height) {
+        if (onProgress && (y & 63) === 0) {
+            onProgress(y / height);
+        }
+    }
+
+    /**
+     * Assign pixels with error diffusion dithering. Quantization error is
+     * carried to not-yet-visited neighbours through a three-row ring buffer,
+     * so memory stays proportional to the image width.
+     */
+    static mapPixelsDiffused(pixels, width, height, matcher, bias, kernel, strength, onProgress = null) {
+        const pixelCount = width * height;
+        const indices = new Uint8Array(pixelCount);
+        const counts = new Uint32Array(matcher.size);
+        const palette = matcher.palette;
+
+        const rows = 3;
+        const rowStride = width * 3;
+        const errors = new Float32Array(rows * rowStride);
+        const scale = strength / kernel.divisor;
+
+        for (let y = 0; y < height; y++) {
+            this.reportRow(onProgress, y, height);
+            const rowOffset = (y % rows) * rowStride;
+
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const i = p * 4;
+                const e = rowOffset + x * 3;
+
+                const r = this.clampChannel(pixels[i] + errors[e]);
+                const g = this.clampChannel(pixels[i + 1] + errors[e + 1]);
+                const b = this.clampChannel(pixels[i + 2] + errors[e + 2]);
+                errors[e] = errors[e + 1] = errors[e + 2] = 0;
+
+                // Skip transparent pixels (their error is dropped)
+                if (pixels[i + 3] < 128) {
+                    indices[p] = this.TRANSPARENT;
+                    continue;
+                }
+
+                const index = this.nearestWithBias(matcher.distances(r, g, b), bias);
+                indices[p] = index;
+                counts[index]++;
+
+                const er = (r - palette[index].r) * scale;
+                const eg = (g - palette[index].g) * scale;
+                const eb = (b - palette[index].b) * scale;
+
+                for (const [dx, dy, weight] of kernel.taps) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+
+                    const t = (ny % rows) * rowStride + nx * 3;
+                    errors[t] += er * weight;
+                    errors[t + 1] += eg * weight;
+                    errors[t + 2] += eb * weight;
+                }
+            }
+        }
+
+        return { indices, counts };
+    }
+
+    /**
+     * Assign pixels with ordered (8×8 Bayer) dithering. Each pixel is offset
+     * by a position-dependent threshold scaled to the palette's color spacing.
+     */
+    static mapPixelsOrdered(pixels, width, height, matcher, bias, strength, onProgress = null) {
+        const pixelCount = width * height;
+        const indices = new Uint8Array(pixelCount);
+        const counts = new Uint32Array(matcher.size);
+        const bayer = this.getBayerMatrix();
+        const spread = this.estimatePaletteSpread(matcher.palette) * strength;
+
+        for (let y = 0; y < height; y++) {
+            this.reportRow(onProgress, y, height);
+
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const i = p * 4;
+
+                // Skip transparent pixels
+                if (pixels[i + 3] < 128) {
+                    indices[p] = this.TRANSPARENT;
+                    continue;
+                }
+
+                const offset = ((bayer[(y & 7) * 8 + (x & 7)] + 0.5) / 64 - 0.5) * spread;
+                const index = this.nearestWithBias(matcher.distances(
+                    this.clampChannel(pixels[i] + offset),
+                    this.clampChannel(pixels[i + 1] + offset),
+                    this.clampChannel(pixels[i + 2] + offset)
+                ), bias);
+                indices[p] = index;
+                counts[index]++;
+            }
+        }
+
+        return { indices, counts };
+    }
+
+    /**
+     * 8×8 Bayer threshold matrix (values 0-63, row-major)
+     * @returns {Uint8Array} 64 thresholds
+     */
+    static getBayerMatrix() {
+        if (!this.bayerMatrix) {
+            let matrix = [0];
+            for (let size = 1; size < 8; size *= 2) {
+                const next = new Array(size * size * 4);
+                for (let y = 0; y < size; y++) {
+                    for (let x = 0; x < size; x++) {
+                        const value = matrix[y * size + x] * 4;
+                        const stride = size * 2;
+                        next[y * stride + x] = value;
+                        next[y * stride + x + size] = value + 2;
+                        next[(y + size) * stride + x] = value + 3;
+                        next[(y + size) * stride + x + size] = value + 1;
+                    }
+                }
+                matrix = next;
+            }
+            this.bayerMatrix = Uint8Array.from(matrix);
+        }
+        return this.bayerMatrix;
+    }
+
+    /**
+     * Average per-channel spacing between each palette color and its closest neighbour
+     * @param {Array<RGB>} palette - Palette colors
+     * @returns {number} Typical channel step between palette colors (0 for a single color)
+     */
+    static estimatePaletteSpread(palette) {
+        if (palette.length < 2) return 0;
+
+        let total = 0;
+        palette.forEach((color, i) => {
+            let nearest = Infinity;
+            palette.forEach((other, j) => {
+                if (i === j) return;
+                const dr = color.r - other.r;
+                const dg = color.g - other.g;
+                const db = color.b - other.b;
+                nearest = Math.min(nearest, Math.sqrt(dr * dr + dg * dg + db * db));
+            });
+            total += nearest;
+        });
+
+        // Offsets are applied to each channel, so scale the RGB distance down accordingly
+        return total / palette.length / Math.sqrt(3);
+    }
+
+    /**
+     * Round and clamp a channel value to 0-255
+     */
+    static clampChannel(value) {
+        return value <= 0 ? 0 : value >= 255 ? 255 : Math.round(value);
+    }
+
+    /**
+     * Index of the smallest biased distance (distance minus bias)
+     * @param {Float64Array} distances - Distance to each palette entry
+     * @param {Float64Array|null} bias - Per-entry bias (positive = more attractive)
+     * @returns {number} Palette index
+     */
+    static nearestWithBias(distances, bias) {
+        let best = 0;
+        let bestScore = Infinity;
+        for (let i = 0; i < distances.length; i++) {
+            const score = bias ? distances[i] - bias[i] : distances[i];
+            if (score < bestScore) {
+                bestScore = score;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Count distinct opaque colors in a pixel sample
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {number} maxSamples - Upper bound on sampled pixels
+     * @returns {{colors: Uint8Array, counts: Uint32Array, total: number}} Packed RGB triples with their counts
+     */
+    static buildHistogram(pixels, maxSamples = window.APP_CONSTANTS.QUANTIZATION_MAX_SAMPLES) {
+        const samples = window.ColorQuantizer.samplePixels(pixels, 1, maxSamples);
+        const histogram = new Map();
+
+        for (let s = 0; s < samples.length; s += 3) {
+            const key = (samples[s] << 16) | (samples[s + 1] << 8) | samples[s + 2];
+            histogram.set(key, (histogram.get(key) || 0) + 1);
+        }
+
+        const colors = new Uint8Array(histogram.size * 3);
+        const counts = new Uint32Array(histogram.size);
+        let index = 0;
+        histogram.forEach((count, key) => {
+            colors[index * 3] = key >> 16;
+            colors[index * 3 + 1] = (key >> 8) & 0xff;
+            colors[index * 3 + 2] = key & 0xff;
+            counts[index] = count;
+            index++;
+        });
+
+        return { colors, counts, total: samples.length / 3 };
+    }
+
+    /**
+     * Measure how much of the image each palette entry covers
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {Object} matcher - Matcher from ColorDistance.createMatcher()
+     * @param {Float64Array|null} bias - Per-entry bias
+     * @returns {Float64Array} Coverage per palette entry (0-100)
+     */
+    static measureCoverage(pixels, matcher, bias = null) {
+        const histogram = this.buildHistogram(pixels);
+        const counts = new Float64Array(matcher.size);
+
+        for (let i = 0; i < histogram.counts.length; i++) {
+            const c = i * 3;
+            const distances = matcher.distances(histogram.colors[c], histogram.colors[c + 1], histogram.colors[c + 2]);
+            counts[this.nearestWithBias(distances, bias)] += histogram.counts[i];
+        }
+
+        return counts.map(count => histogram.total > 0 ? (count / histogram.total) * 100 : 0);
+    }
+
+    /**
+     * Find per-color biases so that biased nearest-color assignment
+     * covers each palette entry's target share of the image.
+     * Biases are adjusted iteratively in proportion to the coverage error.
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {Object} matcher - Matcher from ColorDistance.createMatcher()
+     * @param {Array<number>} targets - Target coverage per palette entry (0-100)
+     * @param {Object} options - { maxIterations, tolerance, onProgress }
+     * @returns {{bias: Float64Array, coverage: Float64Array}} Best bias found and the coverage it achieves (0-100)
+     */
+    static solveCoverageBias(pixels, matcher, targets, options = {}) {
+        const { maxIterations = 150, tolerance = 0.5, onProgress = null } = options;
+        const k = matcher.size;
+        const histogram = this.buildHistogram(pixels);
+        const distinct = histogram.counts.length;
+
+        // Cache distances per distinct color and estimate the metric's scale
+        const distances = new Float64Array(distinct * k);
+        let scale = 0;
+        for (let i = 0; i < distinct; i++) {
+            const c = i * 3;
+            const row = matcher.distances(histogram.colors[c], histogram.colors[c + 1], histogram.colors[c + 2]);
+            distances.set(row, i * k);
+            scale += Math.min(...row) * histogram.counts[i];
+        }
+        scale = scale / Math.max(1, histogram.total) + 1;
+
+        const bias = new Float64Array(k);
+        const counts = new Float64Array(k);
+        const coverage = new Float64Array(k);
+        let best = { error: Infinity, bias: new Float64Array(k), coverage: new Float64Array(k) };
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            if (onProgress) onProgress(iteration / maxIterations);
+
+            counts.fill(0);
+            for (let i = 0; i < distinct; i++) {
+                counts[this.nearestWithBias(distances.subarray(i * k, i * k + k), bias)] += histogram.counts[i];
+            }
+
+            let error = 0;
+            for (let c = 0; c < k; c++) {
+                coverage[c] = histogram.total > 0 ? (counts[c] / histogram.total) * 100 : 0;
+                error = Math.max(error, Math.abs(targets[c] - coverage[c]));
+            }
+
+            if (error < best.error) {
+                best = { error, bias: bias.slice(), coverage: coverage.slice() };
+            }
+            if (error <= tolerance) break;
+
+            // Step size decays so the biases settle instead of oscillating
+            const rate = scale * 0.02 * Math.pow(0.98, iteration);
+            for (let c = 0; c < k; c++) {
+                bias[c] += rate * (targets[c] - coverage[c]);
+            }
+        }
+
+        return { bias: best.bias, coverage: best.coverage };
+    }
+
+    /**
+     * Round fractional shares to whole percentages that sum to 100
+     * (largest remainder method)
+     * @param {ArrayLike<number>} values - Non-negative shares (any scale)
+     * @returns {Array<number>} Integer percentages
+     */
+    static toPercentages(values) {
+        const total = Array.from(values).reduce((sum, value) => sum + value, 0);
+        if (total <= 0) {
+            return Array.from(values, () => 0);
+        }
+
+        const exact = Array.from(values, value => (value / total) * 100);
+        const result = exact.map(Math.floor);
+        let remainder = 100 - result.reduce((sum, value) => sum + value, 0);
+
+        exact
+            .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+            .sort((a, b) => (b.fraction - a.fraction) || (a.index - b.index))
+            .forEach(({ index }) => {
+                if (remainder > 0) {
+                    result[index]++;
+                    remainder--;
+                }
+            });
+
+        return result;
+    }
+};
@@ -0,0 +1,552 @@
+/**
+ * PolyHue - Color Quantization
+ *
+ * First-party palette extraction over raw RGBA pixel data. Implements
+ * median cut, k-means (k-means++ seeding) and octree quantization.
+ * All algorithms are deterministic: the same pixels, options and seed
+ * always produce the same palette.
+ */
+
+/**
+ * Color quantizer class with static methods for palette extraction
+ */
+window.ColorQuantizer = class ColorQuantizer {
+
+    /**
+     * Extract a palette from RGBA pixel data
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data (e.g. canvas ImageData.data)
+     * @param {ColorQuantizationOptions} options - Quantization options
+     * @returns {Array<{r: number, g: number, b: number, count: number}>} Palette sorted by pixel count (descending)
+     */
+    static quantize(pixels, options = {}) {
+        const defaultOptions = {
+            colorCount: window.APP_CONSTANTS.DEFAULT_COLOR_COUNT,
+            algorithm: window.APP_CONSTANTS.DEFAULT_QUANTIZATION_ALGORITHM,
+            quality: 1,
+            maxSamples: window.APP_CONSTANTS.QUANTIZATION_MAX_SAMPLES,
+            maxIterations: 20,
+            seed: window.APP_CONSTANTS.DEFAULT_QUANTIZATION_SEED,
+            onProgress: null
+        };
+
+        const config = { ...defaultOptions, ...options };
+        const colorCount = Math.max(1, Math.floor(config.colorCount));
+
+        const samples = this.samplePixels(pixels, config.quality, config.maxSamples);
+        if (samples.length === 0) {
+            return [];
+        }
+
+        let palette;
+        switch (config.algorithm) {
+            case window.QUANTIZATION_ALGORITHMS.MEDIAN_CUT:
+                palette = this.medianCut(samples, colorCount, config.onProgress);
+                break;
+            case window.QUANTIZATION_ALGORITHMS.K_MEANS:
+                palette = this.kMeans(samples, colorCount, {
+                    maxIterations: config.maxIterations,
+                    random: this.createRandom(config.seed),
+                    onProgress: config.onProgress
+                });
+                break;
+            case window.QUANTIZATION_ALGORITHMS.OCTREE:
+                palette = this.octree(samples, colorCount, config.onProgress);
+                break;
+            default:
+                throw new Error(`Unknown quantization algorithm: ${config.algorithm}`);
+        }
+
+        return this.finalizePalette(palette);
+    }
+
+    /**
+     * Collect opaque pixels into a packed RGB sample buffer
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {number} quality - Minimum pixel stride (1 = every pixel)
+     * @param {number} maxSamples - Upper bound on the number of samples
+     * @returns {Uint8Array} Packed RGB triples
+     */
+    static samplePixels(pixels, quality = 1, maxSamples = Infinity) {
+        const pixelCount = Math.floor(pixels.length / 4);
+        const stride = Math.max(1, Math.floor(quality), Math.ceil(pixelCount / maxSamples));
+        const samples = new Uint8Array(Math.ceil(pixelCount / stride) * 3);
+
+        let length = 0;
+        for (let p = 0; p < pixelCount; p += stride) {
+            const i = p * 4;
+
+            // Skip transparent pixels
+            if (pixels[i + 3] < 128) continue;
+
+            samples[length++] = pixels[i];
+            samples[length++] = pixels[i + 1];
+            samples[length++] = pixels[i + 2];
+        }
+
+        return samples.subarray(0, length);
+    }
+
+    /**
+     * Median cut quantization
+     * @param {Uint8Array} samples - Packed RGB triples
+     * @param {number} colorCount - Maximum number of colors
+     * @param {function(number)} [onProgress] - Called with the fraction of boxes split
+     * @returns {Array} Palette entries
+     */
+    static medianCut(samples, colorCount, onProgress = null) {
+        const sampleCount = samples.length / 3;
+        const order = new Uint32Array(sampleCount);
+        for (let i = 0; i < sampleCount; i++) {
+            order[i] = i;
+        }
+
+        const boxes = [this.createBox(samples, order, 0, sampleCount)];
+
+        while (boxes.length < colorCount) {
+            if (onProgress) onProgress(boxes.length / colorCount);
+
+            // Split the box with the widest channel range, weighted by population
+            let target = -1;
+            let bestScore = 0;
+            boxes.forEach((box, index) => {
+                const score = box.range * (box.end - box.start);
+                if (box.range > 0 && box.end - box.start > 1 && score > bestScore) {
+                    bestScore = score;
+                    target = index;
+                }
+            });
+
+            if (target === -1) break;
+
+            const box = boxes[target];
+            const channel = box.channel;
+            const view = order.subarray(box.start, box.end);
+            view.sort((a, b) => (samples[a * 3 + channel] - samples[b * 3 + channel]) || (a - b));
+
+            const middle = box.start + Math.floor((box.end - box.start) / 2);
+            boxes.splice(target, 1,
+                this.createBox(samples, order, box.start, middle),
+                this.createBox(samples, order, middle, box.end)
+            );
+        }
+
+        return boxes.map(box => {
+            let r = 0, g = 0, b = 0;
+            for (let i = box.start; i < box.end; i++) {
+                const s = order[i] * 3;
+                r += samples[s];
+                g += samples[s + 1];
+                b += samples[s + 2];
+            }
+            const count = box.end - box.start;
+            return { r: r / count, g: g / count, b: b / count, count };
+        });
+    }
+
+    /**
+     * Describe a median cut box (a contiguous range of the sample order)
+     */
+    static createBox(samples, order, start, end) {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+
+        for (let i = start; i < end; i++) {
+            const s = order[i] * 3;
+            for (let c = 0; c < 3; c++) {
+                const value = samples[s + c];
+                if (value < min[c]) min[c] = value;
+                if (value > max[c]) max[c] = value;
+            }
+        }
+
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const range = Math.max(...ranges);
+
+        return { start, end, range, channel: ranges.indexOf(range) };
+    }
+
+    /**
+     * K-means quantization with k-means++ seeding
+     * @param {Uint8Array} samples - Packed RGB triples
+     * @param {number} colorCount - Number of clusters
+     * @param {Object} options - { maxIterations, random, onProgress, initial }; initial palette entries replace the k-means++ seeds
+     * @returns {Array} Palette entries
+     */
+    static kMeans(samples, colorCount, options = {}) {
+        const {
+            maxIterations = 20,
+            random = this.createRandom(window.APP_CONSTANTS.DEFAULT_QUANTIZATION_SEED),
+            onProgress = null,
+            initial = null
+        } = options;
+        const sampleCount = samples.length / 3;
+        const k = Math.min(initial ? initial.length : colorCount, sampleCount);
+
+        const centroids = initial
+            ? Float64Array.from(initial.slice(0, k).flatMap(entry => [entry.r, entry.g, entry.b]))
+            : this.seedCentroids(samples, k, random);
+        const assignments = new Uint8Array(sampleCount);
+        const sums = new Float64Array(k * 3);
+        const counts = new Uint32Array(k);
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            if (onProgress) onProgress(iteration / maxIterations);
+
+            sums.fill(0);
+            counts.fill(0);
+
+            // Assignment step
+            for (let i = 0; i < sampleCount; i++) {
+                const s = i * 3;
+                const nearest = this.nearestCentroid(samples[s], samples[s + 1], samples[s + 2], centroids, k);
+                assignments[i] = nearest;
+                sums[nearest * 3] += samples[s];
+                sums[nearest * 3 + 1] += samples[s + 1];
+                sums[nearest * 3 + 2] += samples[s + 2];
+                counts[nearest]++;
+            }
+
+            // Update step
+            let maxShift = 0;
+            for (let c = 0; c < k; c++) {
+                const o = c * 3;
+                let r, g, b;
+
+                if (counts[c] === 0) {
+                    // Re-seed an empty cluster at the sample farthest from its centroid
+                    const far = this.farthestSample(samples, centroids, assignments) * 3;
+                    r = samples[far];
+                    g = samples[far + 1];
+                    b = samples[far + 2];
+                } else {
+                    r = sums[o] / counts[c];
+                    g = sums[o + 1] / counts[c];
+                    b = sums[o + 2] / counts[c];
+                }
+
+                const shift = Math.abs(r - centroids[o]) + Math.abs(g - centroids[o + 1]) + Math.abs(b - centroids[o + 2]);
+                maxShift = Math.max(maxShift, shift);
+                centroids[o] = r;
+                centroids[o + 1] = g;
+                centroids[o + 2] = b;
+            }
+
+            if (maxShift < 0.5) break;
+        }
+
+        const palette = [];
+        for (let c = 0; c < k; c++) {
+            if (counts[c] === 0) continue;
+            palette.push({
+                r: centroids[c * 3],
+                g: centroids[c * 3 + 1],
+                b: centroids[c * 3 + 2],
+                count: counts[c]
+            });
+        }
+        return palette;
+    }
+
+    /**
+     * Pick initial centroids using k-means++ (distance-squared weighted sampling)
+     */
+    static seedCentroids(samples, k, random) {
+        const sampleCount = samples.length / 3;
+        const centroids = new Float64Array(k * 3);
+        const distances = new Float64Array(sampleCount).fill(Infinity);
+
+        let chosen = Math.floor(random() * sampleCount);
+        for (let c = 0; c < k; c++) {
+            centroids[c * 3] = samples[chosen * 3];
+            centroids[c * 3 + 1] = samples[chosen * 3 + 1];
+            centroids[c * 3 + 2] = samples[chosen * 3 + 2];
+
+            if (c === k - 1) break;
+
+            // Update distances to the nearest chosen centroid
+            let total = 0;
+            for (let i = 0; i < sampleCount; i++) {
+                const s = i * 3;
+                const dr = samples[s] - centroids[c * 3];
+                const dg = samples[s + 1] - centroids[c * 3 + 1];
+                const db = samples[s + 2] - centroids[c * 3 + 2];
+                const d = dr * dr + dg * dg + db * db;
+                if (d < distances[i]) distances[i] = d;
+                total += distances[i];
+            }
+
+            if (total === 0) {
+                // Every sample already coincides with a centroid
+                chosen = Math.floor(random() * sampleCount);
+                continue;
+            }
+
+            let threshold = random() * total;
+            chosen = sampleCount - 1;
+            for (let i = 0; i < sampleCount; i++) {
+                threshold -= distances[i];
+                if (threshold <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+        }
+
+        return centroids;
+    }
+
+    /**
+     * Index of the centroid nearest to an RGB value
+     */
+    static nearestCentroid(r, g, b, centroids, k) {
+        let nearest = 0;
+        let minDistance = Infinity;
+        for (let c = 0; c < k; c++) {
+            const o = c * 3;
+            const dr = r - centroids[o];
+            const dg = g - centroids[o + 1];
+            const db = b - centroids[o + 2];
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = c;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Index of the sample farthest from its assigned centroid
+     */
+    static farthestSample(samples, centroids, assignments) {
+        let farthest = 0;
+        let maxDistance = -1;
+        for (let i = 0; i < assignments.length; i++) {
+            const s = i * 3;
+            const o = assignments[i] * 3;
+            const dr = samples[s] - centroids[o];
+            const dg = samples[s + 1] - centroids[o + 1];
+            const db = samples[s + 2] - centroids[o + 2];
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        return farthest;
+    }
+
+    /**
+     * Octree quantization. The tree is only folded down to a working set
+     * of leaves, since folding whole subtrees can merge distinct colors that
+     * share an octant or split one color across an octant boundary; the
+     * closest leaves are then merged and a few k-means passes settle the
+     * result on the actual clusters.
+     * @param {Uint8Array} samples - Packed RGB triples
+     * @param {number} colorCount - Maximum number of colors
+     * @param {function(number)} [onProgress] - Called with the fraction of samples inserted
+     * @returns {Array} Palette entries
+     */
+    static octree(samples, colorCount, onProgress = null) {
+        const maxDepth = 8;
+        const levels = Array.from({ length: maxDepth }, () => []);
+        const root = this.createOctreeNode(0, levels, maxDepth);
+        let leafCount = 0;
+        const progressStep = Math.max(3, Math.floor(samples.length / 300) * 3);
+
+        for (let s = 0; s < samples.length; s += 3) {
+            if (onProgress && s % progressStep === 0) onProgress(s / samples.length);
+
+            const r = samples[s];
+            const g = samples[s + 1];
+            const b = samples[s + 2];
+
+            let node = root;
+            for (let level = 0; level < maxDepth; level++) {
+                const shift = 7 - level;
+                const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+                if (!node.children[index]) {
+                    node.children[index] = this.createOctreeNode(level + 1, levels, maxDepth);
+                    if (level + 1 === maxDepth) leafCount++;
+                }
+                node = node.children[index];
+            }
+
+            node.r += r;
+            node.g += g;
+            node.b += b;
+            node.count++;
+        }
+
+        // Fold the least populated deepest nodes while that doesn't overshoot the working set
+        const workingCount = Math.max(colorCount, this.OCTREE_WORKING_LEAVES);
+        reduce:
+        for (let level = maxDepth - 1; level >= 0 && leafCount > workingCount; level--) {
+            const candidates = levels[level]
+                .map(node => ({ node, count: this.subtreeCount(node) }))
+                .sort((a, b) => a.count - b.count);
+
+            for (const { node } of candidates) {
+                if (leafCount <= workingCount) break;
+
+                const childCount = node.children.filter(Boolean).length;
+                if (leafCount - (childCount - 1) < workingCount) break reduce;
+
+                leafCount -= this.reduceOctreeNode(node) - 1;
+            }
+        }
+
+        const palette = [];
+        this.collectOctreeLeaves(root, palette);
+        return this.kMeans(samples, colorCount, {
+            initial: this.mergeNearestEntries(palette, colorCount),
+            maxIterations: this.OCTREE_REFINE_ITERATIONS
+        });
+    }
+
+    /**
+     * Octree leaves kept before merging down to the palette size
+     */
+    static get OCTREE_WORKING_LEAVES() {
+        return 64;
+    }
+
+    /**
+     * K-means passes that refine the merged octree palette
+     */
+    static get OCTREE_REFINE_ITERATIONS() {
+        return 5;
+    }
+
+    /**
+     * Create an octree node and register it with its level for reduction
+     */
+    static createOctreeNode(level, levels, maxDepth) {
+        const node = { r: 0, g: 0, b: 0, count: 0, leaf: level === maxDepth, children: [] };
+        if (level < maxDepth) {
+            levels[level].push(node);
+        }
+        return node;
+    }
+
+    /**
+     * Total pixel count below an octree node
+     */
+    static subtreeCount(node) {
+        if (node.leaf) return node.count;
+        return node.children.reduce((sum, child) => sum + (child ? this.subtreeCount(child) : 0), 0);
+    }
+
+    /**
+     * Fold an octree node's children into it
+     * @returns {number} Number of leaves that were merged
+     */
+    static reduceOctreeNode(node) {
+        let merged = 0;
+        node.children.forEach(child => {
+            if (!child) return;
+            node.r += child.r;
+            node.g += child.g;
+            node.b += child.b;
+            node.count += child.count;
+            merged++;
+        });
+        node.children = [];
+        node.leaf = true;
+        return merged;
+    }
+
+    /**
+     * Gather palette entries from the octree leaves
+     */
+    static collectOctreeLeaves(node, palette) {
+        if (node.leaf) {
+            if (node.count > 0) {
+                palette.push({ r: node.r / node.count, g: node.g / node.count, b: node.b / node.count, count: node.count });
+            }
+            return;
+        }
+        node.children.forEach(child => {
+            if (child) this.collectOctreeLeaves(child, palette);
+        });
+    }
+
+    /**
+     * Merge the closest pair of palette entries until the palette fits
+     * @param {Array} palette - Palette entries ({ r, g, b, count })
+     * @param {number} colorCount - Maximum number of colors
+     * @returns {Array} Palette entries
+     */
+    static mergeNearestEntries(palette, colorCount) {
+        const entries = palette.map(entry => ({ ...entry }));
+
+        while (entries.length > colorCount) {
+            let pair = [0, 1];
+            let minDistance = Infinity;
+            for (let i = 0; i < entries.length; i++) {
+                for (let j = i + 1; j < entries.length; j++) {
+                    const dr = entries[i].r - entries[j].r;
+                    const dg = entries[i].g - entries[j].g;
+                    const db = entries[i].b - entries[j].b;
+                    const distance = dr * dr + dg * dg + db * db;
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        pair = [i, j];
+                    }
+                }
+            }
+
+            const [a, b] = pair.map(index => entries[index]);
+            const count = a.count + b.count;
+            entries.splice(pair[1], 1);
+            entries[pair[0]] = {
+                r: (a.r * a.count + b.r * b.count) / count,
+                g: (a.g * a.count + b.g * b.count) / count,
+                b: (a.b * a.count + b.b * b.count) / count,
+                count
+            };
+        }
+
+        return entries;
+    }
+
+    /**
+     * Round palette entries, merge duplicates and sort by population
+     */
+    static finalizePalette(palette) {
+        const merged = new Map();
+
+        palette.forEach(entry => {
+            const r = Math.round(entry.r);
+            const g = Math.round(entry.g);
+            const b = Math.round(entry.b);
+            const key = (r << 16) | (g << 8) | b;
+            const existing = merged.get(key);
+            if (existing) {
+                existing.count += entry.count;
+            } else {
+                merged.set(key, { r, g, b, count: entry.count });
+            }
+        });
+
+        return Array.from(merged.entries())
+            .sort((a, b) => (b[1].count - a[1].count) || (a[0] - b[0]))
+            .map(([, entry]) => entry);
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {function(): number} Generator returning values in [0, 1)
+     */
+    static createRandom(seed = 1) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+};
@@ -0,0 +1,106 @@
+/**
+ * PolyHue - Edit History
+ *
+ * Undo/redo stack of named edits. Each entry holds snapshots of the
+ * editable state from before and after the edit (serialized, so entries
+ * can't change under the stack and equal snapshots are cheap to spot).
+ * Rapid edits to the same control, like dragging a slider, merge into a
+ * single entry.
+ */
+
+/**
+ * Edit history class
+ */
+window.EditHistory = class EditHistory {
+
+    /**
+     * @param {number} [limit] - Entries kept; the oldest are dropped beyond it
+     */
+    constructor(limit = window.APP_CONSTANTS.HISTORY_LIMIT) {
+        this.limit = limit;
+        this.entries = [];
+        this.position = 0; // entries currently applied
+    }
+
+    /**
+     * Record an edit, discarding anything that could be redone
+     * @param {string} label - Action name shown in the history panel
+     * @param {string} before - Snapshot before the edit
+     * @param {string} after - Snapshot after the edit
+     * @param {string} [mergeKey] - Edits with the same key in quick succession become one entry
+     * @returns {boolean} Whether the history changed
+     */
+    record(label, before, after, mergeKey = null) {
+        const time = Date.now();
+        const last = this.entries[this.position - 1];
+
+        if (mergeKey && last?.mergeKey === mergeKey && this.position === this.entries.length &&
+            time - last.time < window.APP_CONSTANTS.HISTORY_MERGE_WINDOW) {
+            last.after = after;
+            last.time = time;
+            // Dragged back to where it started
+            if (last.after === last.before) {
+                this.entries.pop();
+                this.position--;
+            }
+            return true;
+        }
+        if (before === after) return false;
+
+        this.entries.splice(this.position);
+        this.entries.push({ label, before, after, mergeKey, time });
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.position = this.entries.length;
+        return true;
+    }
+
+    /**
+     * Whether there is an edit to undo
+     */
+    canUndo() {
+        return this.position > 0;
+    }
+
+    /**
+     * Whether there is an undone edit to redo
+     */
+    canRedo() {
+        return this.position < this.entries.length;
+    }
+
+    /**
+     * Step back one edit
+     * @returns {string|null} Snapshot to restore
+     */
+    undo() {
+        return this.canUndo() ? this.goTo(this.position - 1) : null;
+    }
+
+    /**
+     * Step forward one edit
+     * @returns {string|null} Snapshot to restore
+     */
+    redo() {
+        return this.canRedo() ? this.goTo(this.position + 1) : null;
+    }
+
+    /**
+     * Jump to the state after the given number of entries
+     * @param {number} position - 0 for the state before the first entry
+     * @returns {string} Snapshot to restore
+     */
+    goTo(position) {
+        this.position = Math.max(0, Math.min(this.entries.length, position));
+        return this.position === 0 ? this.entries[0].before : this.entries[this.position - 1].after;
+    }
+
+    /**
+     * Forget every entry (a new image or project starts a fresh history)
+     */
+    clear() {
+        this.entries = [];
+        this.position = 0;
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * PolyHue - Export Metadata
+ *
+ * Embeds the export dialog's title, author, description, creation time
+ * and software name into the formats that can carry them: GLB asset
+ * extras, PNG text chunks and OBJ/MTL comments. 3MF and SVG writers take
+ * the same metadata object directly.
+ */
+
+/**
+ * Export metadata class with static methods
+ */
+window.ExportMetadata = class ExportMetadata {
+
+    /**
+     * Metadata fields in a fixed order, with their PNG keywords
+     */
+    static get FIELDS() {
+        return [
+            { key: 'title', label: 'Title' },
+            { key: 'author', label: 'Author' },
+            { key: 'description', label: 'Description' },
+            { key: 'created', label: 'Creation Time' },
+            { key: 'software', label: 'Software' }
+        ];
+    }
+
+    /**
+     * Fields that have a value, as text
+     * @param {ExportConfiguration['metadata']} metadata - Export metadata
+     * @returns {Array<{key: string, label: string, value: string}>}
+     */
+    static entries(metadata) {
+        return this.FIELDS
+            .filter(({ key }) => metadata?.[key])
+            .map(({ key, label }) => ({
+                key,
+                label,
+                value: metadata[key] instanceof Date ? metadata[key].toISOString() : String(metadata[key])
+            }));
+    }
+
+    /**
+     * `# Label: value` comment lines for OBJ and MTL files
+     * @returns {string} Comment block ending in a newline (empty without metadata)
+     */
+    static comments(metadata) {
+        return this.entries(metadata)
+            .map(({ label, value }) => `# ${label}: ${value.replace(/\s*[\r\n]+\s*/g, ' ')}\n`)
+            .join('');
+    }
+
+    /**
+     * Add metadata to a GLB's asset.extras (and asset.generator)
+     * @param {ArrayBuffer} glb - Binary glTF
+     * @returns {ArrayBuffer} GLB with the rewritten JSON chunk
+     */
+    static addToGLB(glb, metadata) {
+        const view = new DataView(glb);
+        const jsonLength = view.getUint32(12, true);
+        const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, jsonLength)));
+
+        json.asset = json.asset || { version: '2.0' };
+        if (metadata.software) json.asset.generator = metadata.software;
+        json.asset.extras = {
+            ...json.asset.extras,
+            ...Object.fromEntries(this.entries(metadata).map(({ key, value }) => [key, value]))
+        };
+
+        // The JSON chunk is padded with spaces to a 4-byte boundary
+        const encoded = new TextEncoder().encode(JSON.stringify(json));
+        const paddedLength = Math.ceil(encoded.length / 4) * 4;
+        const rest = new Uint8Array(glb, 20 + jsonLength);
+
+        const result = new Uint8Array(20 + paddedLength + rest.length);
+        const resultView = new DataView(result.buffer);
+        result.set(new Uint8Array(glb, 0, 12));
+        resultView.setUint32(8, result.length, true);
+        resultView.setUint32(12, paddedLength, true);
+        resultView.setUint32(16, 0x4e4f534a, true); // 'JSON'
+        result.set(encoded, 20);
+        result.fill(0x20, 20 + encoded.length, 20 + paddedLength);
+        result.set(rest, 20 + paddedLength);
+        return result.buffer;
+    }
+
+    /**
+     * Add text chunks to a PNG, right after its header chunk. Latin-1 text
+     * uses tEXt; anything else uses UTF-8 iTXt.
+     * @param {Uint8Array} png - PNG bytes
+     * @returns {Uint8Array} PNG with the text chunks
+     */
+    static addToPNG(png, metadata) {
+        const encoder = new TextEncoder();
+        const chunks = this.entries(metadata).map(({ label, value }) => {
+            const keyword = encoder.encode(label);
+            if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(value)) {
+                const text = Uint8Array.from(value, char => char.charCodeAt(0));
+                return this.pngChunk('tEXt', [keyword, [0], text]);
+            }
+            // keyword, null, no compression, method 0, empty language and translated keyword
+            return this.pngChunk('iTXt', [keyword, [0, 0, 0, 0, 0], encoder.encode(value)]);
+        });
+
+        // Signature (8 bytes) + IHDR (4 length + 4 type + 13 data + 4 CRC)
+        const headerEnd = 33;
+        return window.ZipWriter.concat([png.subarray(0, headerEnd), ...chunks, png.subarray(headerEnd)]);
+    }
+
+    /**
+     * One PNG chunk: length, type, data and CRC over type and data
+     * @param {string} type - Chunk type
+     * @param {Array<ArrayLike<number>>} parts - Data pieces
+     */
+    static pngChunk(type, parts) {
+        const body = window.ZipWriter.concat([new TextEncoder().encode(type), ...parts.map(part => Uint8Array.from(part))]);
+        const chunk = new Uint8Array(body.length + 8);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, body.length - 4);
+        chunk.set(body, 4);
+        view.setUint32(body.length + 4, window.ZipWriter.crc32(body));
+        return chunk;
+    }
+};
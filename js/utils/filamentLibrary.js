@@ -0,0 +1,343 @@
+/**
+ * PolyHue - Filament Library
+ *
+ * Filament records (vendor, name, HEX, transmission distance), the
+ * built-in vendor palettes, JSON/CSV import and export, the user's
+ * spool inventory and snapping palette colors to owned filaments.
+ */
+
+/**
+ * Filament library class with static methods
+ */
+window.FilamentLibrary = class FilamentLibrary {
+
+    /**
+     * localStorage key for the spool inventory
+     */
+    static get STORAGE_KEY() {
+        return 'polyhue.filamentInventory';
+    }
+
+    /**
+     * CSV column order used for import and export
+     */
+    static get CSV_COLUMNS() {
+        return ['vendor', 'name', 'hex', 'td'];
+    }
+
+    /**
+     * Built-in vendor palettes. TD values are typical community
+     * measurements and should be checked against your own spools.
+     * @returns {Array<Filament>} Filaments
+     */
+    static get VENDOR_PALETTES() {
+        return [
+            { vendor: 'Bambu Lab', name: 'PLA Basic Black', hex: '#000000', td: 0.6 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic White', hex: '#ffffff', td: 3.6 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Gray', hex: '#8e9089', td: 1.5 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Red', hex: '#c12e1f', td: 2.3 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Orange', hex: '#ff6a13', td: 3.2 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Yellow', hex: '#f4ee2a', td: 4.5 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Bambu Green', hex: '#00ae42', td: 2.2 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Cyan', hex: '#0086d6', td: 2.0 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Blue', hex: '#0a2989', td: 1.1 },
+            { vendor: 'Bambu Lab', name: 'PLA Basic Purple', hex: '#5e43b7', td: 1.4 },
+            { vendor: 'Prusament', name: 'PLA Jet Black', hex: '#1d1d1d', td: 0.5 },
+            { vendor: 'Prusament', name: 'PLA Signal White', hex: '#f4f4f4', td: 3.3 },
+            { vendor: 'Prusament', name: 'PLA Galaxy Black', hex: '#2b2b30', td: 0.8 },
+            { vendor: 'Prusament', name: 'PLA Prusa Orange', hex: '#fa6831', td: 3.0 },
+            { vendor: 'Prusament', name: 'PLA Azure Blue', hex: '#1e5fb3', td: 1.6 },
+            { vendor: 'Polymaker', name: 'PolyTerra Charcoal Black', hex: '#232323', td: 0.6 },
+            { vendor: 'Polymaker', name: 'PolyTerra Cotton White', hex: '#f0ece3', td: 3.0 },
+            { vendor: 'Polymaker', name: 'PolyTerra Fossil Grey', hex: '#a29e95', td: 1.9 },
+            { vendor: 'Polymaker', name: 'PolyTerra Lava Red', hex: '#c6322a', td: 2.1 },
+            { vendor: 'Polymaker', name: 'PolyTerra Sapphire Blue', hex: '#23479b', td: 1.2 }
+        ].map(filament => this.normalize(filament));
+    }
+
+    /**
+     * Validate and normalize a filament record
+     * @param {Object} filament - Raw record ({ vendor, name, hex, td })
+     * @returns {Filament} Normalized filament
+     * @throws {Error} If the hex color or TD is invalid
+     */
+    static normalize(filament) {
+        const vendor = String(filament.vendor ?? '').trim();
+        const name = String(filament.name ?? '').trim();
+        let hex = String(filament.hex ?? '').trim().toLowerCase();
+        const td = parseFloat(filament.td);
+
+        if (!hex.startsWith('#')) hex = `#${hex}`;
+        if (/^#[0-9a-f]{3}$/.test(hex)) {
+            hex = '#' + hex.slice(1).split('').map(c => c + c).join('');
+        }
+        if (!/^#[0-9a-f]{6}$/.test(hex)) {
+            throw new Error(`Invalid filament color "${filament.hex}"${name ? ` for ${name}` : ''}`);
+        }
+        if (isNaN(td) || td <= 0) {
+            throw new Error(`Invalid TD "${filament.td}"${name ? ` for ${name}` : ''}`);
+        }
+
+        return {
+            id: this.createId(vendor, name, hex),
+            vendor,
+            name: name || hex,
+            hex,
+            td
+        };
+    }
+
+    /**
+     * Stable identifier so the same spool is not listed twice
+     */
+    static createId(vendor, name, hex) {
+        return `${vendor}|${name}|${hex}`.toLowerCase();
+    }
+
+    /**
+     * Parse a filament list from JSON or CSV text
+     * @param {string} text - File contents
+     * @param {string} filename - Used to pick the format by extension
+     * @returns {Array<Filament>} Filaments
+     */
+    static parse(text, filename = '') {
+        return filename.toLowerCase().endsWith('.csv') ? this.parseCSV(text) : this.parseJSON(text);
+    }
+
+    /**
+     * Parse a JSON filament list (an array, or an object with a `filaments` array)
+     */
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid filament JSON: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : data?.filaments;
+        if (!Array.isArray(list)) {
+            throw new Error('Filament JSON must be an array or contain a "filaments" array');
+        }
+        return list.map(filament => this.normalize(filament));
+    }
+
+    /**
+     * Parse CSV with a vendor,name,hex,td header row (any column order)
+     */
+    static parseCSV(text) {
+        const rows = this.splitCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const columns = this.CSV_COLUMNS.map(column => header.indexOf(column));
+        if (columns[2] === -1 || columns[3] === -1) {
+            throw new Error('Filament CSV needs at least "hex" and "td" columns');
+        }
+
+        return rows.slice(1).map(row => {
+            const record = {};
+            this.CSV_COLUMNS.forEach((column, i) => {
+                record[column] = columns[i] === -1 ? '' : row[columns[i]];
+            });
+            return this.normalize(record);
+        });
+    }
+
+    /**
+     * Split CSV text into rows of cells, honouring double-quoted fields
+     */
+    static splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Read a fixed palette from typed/pasted text or a file. Filament
+     * JSON/CSV keeps names and TDs; anything else is read line by line for
+     * GIMP palette "R G B name" rows and hex codes: #rrggbb and #rgb
+     * anywhere, bare rrggbb only as a whole line or comma-separated item.
+     * @param {string} text - Palette text
+     * @param {string} [filename] - Source file name, if any
+     * @returns {Array<{hex: string, td?: number, vendor?: string, name?: string}>} Unique colors in input order
+     */
+    static parsePalette(text, filename = '') {
+        let entries = null;
+        if (/\.(json|csv)$/i.test(filename)) {
+            try {
+                entries = this.parse(text, filename);
+            } catch (error) {
+                console.warn('Not a filament file, scanning for hex colors instead:', error.message);
+            }
+        }
+
+        if (!entries) {
+            entries = [];
+            const toHex = code => this.normalize({ hex: code, td: 1 }).hex;
+            text.split(/\r?\n/).forEach(line => {
+                // GIMP rows end in a free-form name, which is never read as a color
+                const rgb = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s|$)/.exec(line);
+                if (rgb) {
+                    entries.push({ hex: window.ImageProcessor.rgbToHex(...rgb.slice(1, 4).map(v => Math.min(255, parseInt(v, 10)))) });
+                    return;
+                }
+
+                line.split(',').map(item => item.trim()).forEach(item => {
+                    if (/^[0-9a-f]{6}$/i.test(item)) {
+                        entries.push({ hex: toHex(item) });
+                        return;
+                    }
+                    for (const match of item.matchAll(/#([0-9a-f]{6}|[0-9a-f]{3})\b/gi)) {
+                        entries.push({ hex: toHex(match[1]) });
+                    }
+                });
+            });
+        }
+
+        const seen = new Set();
+        const palette = entries.filter(entry => !seen.has(entry.hex) && seen.add(entry.hex));
+        if (palette.length === 0) {
+            throw new Error('No colors found. Use hex codes like #1a2b3c, one per line or comma separated.');
+        }
+        return palette;
+    }
+
+    /**
+     * Serialize filaments as JSON
+     */
+    static toJSON(filaments) {
+        const list = filaments.map(({ vendor, name, hex, td }) => ({ vendor, name, hex, td }));
+        return JSON.stringify({ filaments: list }, null, 2);
+    }
+
+    /**
+     * Serialize filaments as CSV
+     */
+    static toCSV(filaments) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.CSV_COLUMNS.join(',')];
+        filaments.forEach(filament => {
+            lines.push(this.CSV_COLUMNS.map(column => escape(filament[column])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Merge filaments into a list, skipping ones already present
+     * @returns {Array<Filament>} New list
+     */
+    static merge(existing, additions) {
+        const ids = new Set(existing.map(filament => filament.id));
+        const merged = [...existing];
+        additions.forEach(filament => {
+            if (!ids.has(filament.id)) {
+                ids.add(filament.id);
+                merged.push(filament);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Load the spool inventory saved in this browser
+     * @returns {Array<Filament>} Owned filaments (empty if none or unreadable)
+     */
+    static loadInventory() {
+        try {
+            const stored = window.localStorage?.getItem(this.STORAGE_KEY);
+            return stored ? this.parseJSON(stored) : [];
+        } catch (error) {
+            console.warn('Could not load filament inventory:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the spool inventory in this browser
+     */
+    static saveInventory(filaments) {
+        try {
+            window.localStorage?.setItem(this.STORAGE_KEY, this.toJSON(filaments));
+        } catch (error) {
+            console.warn('Could not save filament inventory:', error);
+        }
+    }
+
+    /**
+     * Give each color a different filament, taking the closest
+     * color/filament pairs first. Only when there are more colors than
+     * filaments do the leftover colors share their closest filament.
+     * @param {Array<RGB>} colors - Palette colors
+     * @param {Array<Filament>} filaments - Candidate filaments
+     * @param {string} metric - One of window.COLOR_METRICS
+     * @returns {Array<Filament>} Filament per color
+     */
+    static snapToFilaments(colors, filaments, metric = window.APP_CONSTANTS.DEFAULT_COLOR_METRIC) {
+        if (filaments.length === 0) {
+            throw new Error('No filaments to snap to');
+        }
+
+        const matcher = window.ColorDistance.createMatcher(
+            filaments.map(filament => window.ImageProcessor.hexToRgb(filament.hex)),
+            metric
+        );
+        const distances = colors.map(rgb => matcher.distances(rgb.r, rgb.g, rgb.b));
+
+        const pairs = [];
+        distances.forEach((row, color) => {
+            row.forEach((distance, filament) => pairs.push({ color, filament, distance }));
+        });
+        pairs.sort((a, b) => a.distance - b.distance || a.color - b.color || a.filament - b.filament);
+
+        const matches = new Array(colors.length).fill(-1);
+        const used = new Set();
+        for (const { color, filament } of pairs) {
+            if (matches[color] !== -1 || used.has(filament)) continue;
+            matches[color] = filament;
+            used.add(filament);
+            if (used.size === filaments.length) break;
+        }
+
+        return matches.map((filament, color) => filaments[
+            filament !== -1 ? filament : matcher.nearest(colors[color].r, colors[color].g, colors[color].b)
+        ]);
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * PolyHue - G-code Patcher
+ *
+ * Inserts filament changes into sliced G-code. Layers are found from the
+ * slicer's comments (`;LAYER_CHANGE` followed by `;Z:` in PrusaSlicer and
+ * OrcaSlicer, `; CHANGE_LAYER` / `; Z_HEIGHT:` in Bambu Studio), and a
+ * change is inserted at the start of the first layer whose middle lies
+ * above a color boundary, which is where the slicer switches color too.
+ */
+
+/**
+ * G-code patcher class with static methods
+ */
+window.GcodePatcher = class GcodePatcher {
+
+    /**
+     * Common color change and pause commands offered in the UI
+     */
+    static get MACROS() {
+        return [
+            { value: 'M600', label: 'M600 filament change (Marlin, Prusa, Bambu)' },
+            { value: 'M601', label: 'M601 pause (Prusa)' },
+            { value: 'PAUSE', label: 'PAUSE macro (Klipper)' },
+            { value: 'M0', label: 'M0 stop and wait' }
+        ];
+    }
+
+    /**
+     * Insert a change before each color boundary
+     * @param {string} gcode - Sliced G-code
+     * @param {Array<{z: number, name: string, hex: string}>} changes - Boundaries bottom to top: model Z (mm) where each new color starts
+     * @param {Object} options - Patch options
+     * @param {string} [options.macro='M600'] - Command inserted per change; `{name}`, `{hex}`, `{z}` and `{layer}` are filled in
+     * @param {function(number)} [onProgress] - Called with the fraction of lines processed
+     * @returns {{gcode: string, summary: GcodePatchSummary}} Patched G-code and what was inserted
+     */
+    static patch(gcode, changes, options = {}, onProgress = null) {
+        const macro = (options.macro || 'M600').trim();
+        const eol = gcode.includes('\r\n') ? '\r\n' : '\n';
+        const lines = gcode.split(/\r?\n/);
+        const output = [];
+        const inserted = [];
+        const skipped = [];
+
+        // Without layer change markers every Z comment starts a layer
+        const hasMarkers = lines.some(line => this.isLayerChange(line));
+        let layerPending = !hasMarkers;
+        let layer = 0;
+        let previousZ = 0;
+        let next = 0;
+
+        const progressStep = Math.max(1, Math.floor(lines.length / 100));
+        lines.forEach((line, index) => {
+            if (index % progressStep === 0) onProgress?.(index / lines.length);
+            output.push(line);
+
+            if (hasMarkers && this.isLayerChange(line)) {
+                layerPending = true;
+                return;
+            }
+
+            const z = layerPending ? this.layerZ(line) : null;
+            if (z === null) return;
+            layerPending = !hasMarkers;
+
+            // Repeated Z (e.g. a comment echoed per object) is the same layer
+            if (layer > 0 && Math.abs(z - previousZ) < 1e-6) return;
+            layer++;
+            const middle = (previousZ + z) / 2;
+            previousZ = z;
+
+            // Colors whose boundaries all fall inside this layer never print
+            let change = null;
+            while (next < changes.length && middle > changes[next].z) {
+                if (change) skipped.push(change.name);
+                change = changes[next++];
+            }
+            if (!change) return;
+
+            const fields = { name: change.name, hex: change.hex, z: this.format(z), layer };
+            inserted.push({ name: change.name, hex: change.hex, boundary: change.z, z, layer, line: output.length + 1 });
+            output.push(
+                `; PolyHue color change ${inserted.length}: ${change.name} from Z ${this.format(z)} (layer ${layer})`,
+                ...macro.split(/\r?\n/).map(text => text.replace(/\{(name|hex|z|layer)\}/g, (match, key) => fields[key]))
+            );
+        });
+        onProgress?.(1);
+
+        return {
+            gcode: output.join(eol),
+            summary: {
+                layers: layer,
+                height: previousZ,
+                inserted,
+                skipped,
+                // Boundaries above the top layer
+                missed: changes.slice(next).map(change => change.name)
+            }
+        };
+    }
+
+    /**
+     * Whether a line is a slicer's layer change marker
+     */
+    static isLayerChange(line) {
+        return /^;\s*(LAYER_CHANGE|CHANGE_LAYER)\s*$/.test(line);
+    }
+
+    /**
+     * Z height from a `;Z:` or `; Z_HEIGHT:` comment
+     * @returns {number|null} Z in mm, or null for other lines
+     */
+    static layerZ(line) {
+        const match = /^;\s*(?:Z|Z_HEIGHT)\s*:\s*(-?[\d.]+)/.exec(line);
+        return match ? parseFloat(match[1]) : null;
+    }
+
+    /**
+     * Z for comments and summaries
+     */
+    static format(z) {
+        return String(Math.round(z * 1000) / 1000);
+    }
+};
@@ -0,0 +1,185 @@
+/**
+ * PolyHue - Lithophane Generator
+ *
+ * Turns image luminance into a per-pixel thickness map and builds a
+ * closed heightfield mesh from it, with either a flat or a curved
+ * (cylindrical) backing. Meshes are returned as typed arrays so the
+ * caller decides how to wrap them (Three.js, exporters, workers).
+ */
+
+/**
+ * Lithophane generator class with static methods
+ */
+window.LithophaneGenerator = class LithophaneGenerator {
+
+    /**
+     * Compute a thickness map from RGBA pixels.
+     * Positive lithophanes are thick where the image is dark, so less
+     * light passes through; inverting swaps that relationship.
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - Thickness options
+     * @param {number} options.minThickness - Thickness of the brightest areas
+     * @param {number} options.maxThickness - Thickness of the darkest areas
+     * @param {boolean} [options.invert=false] - Make bright areas thick instead
+     * @param {number} [options.maxSamples] - Grid resolution along the longest side
+     * @returns {{thickness: Float32Array, columns: number, rows: number}} Row-major thickness grid
+     */
+    static computeThicknessMap(pixels, width, height, options) {
+        const {
+            minThickness,
+            maxThickness,
+            invert = false,
+            maxSamples = window.APP_CONSTANTS.LITHOPHANE_MAX_SAMPLES
+        } = options;
+
+        // Downsample large images; each grid cell averages a block of pixels
+        const scale = Math.min(1, maxSamples / Math.max(width, height));
+        const columns = Math.max(2, Math.round(width * scale));
+        const rows = Math.max(2, Math.round(height * scale));
+
+        const sums = new Float64Array(columns * rows);
+        const counts = new Uint32Array(columns * rows);
+
+        for (let y = 0; y < height; y++) {
+            const row = Math.min(rows - 1, Math.floor(y * rows / height));
+            for (let x = 0; x < width; x++) {
+                const cell = row * columns + Math.min(columns - 1, Math.floor(x * columns / width));
+                const i = (y * width + x) * 4;
+
+                // Transparent pixels count as white so they print at minimum thickness
+                const alpha = pixels[i + 3] / 255;
+                const lightness = this.lightness(pixels[i], pixels[i + 1], pixels[i + 2]);
+                sums[cell] += lightness * alpha + (1 - alpha);
+                counts[cell]++;
+            }
+        }
+
+        const range = maxThickness - minThickness;
+        const thickness = new Float32Array(columns * rows);
+        for (let cell = 0; cell < thickness.length; cell++) {
+            const lightness = counts[cell] > 0 ? sums[cell] / counts[cell] : 1;
+            const darkness = invert ? lightness : 1 - lightness;
+            thickness[cell] = minThickness + darkness * range;
+        }
+
+        return { thickness, columns, rows };
+    }
+
+    /**
+     * Perceptual lightness (CIELAB L*, scaled to 0-1) of an sRGB color
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {number} Lightness (0 = black, 1 = white)
+     */
+    static lightness(r, g, b) {
+        const lut = window.ColorDistance.getLinearLut();
+        const luminance = 0.2126729 * lut[r] + 0.7151522 * lut[g] + 0.0721750 * lut[b];
+        return Math.min(1, (116 * window.ColorDistance.labPivot(luminance) - 16) / 100);
+    }
+
+    /**
+     * Build a closed mesh from a thickness map: relief on top, backing
+     * underneath and side walls joining them
+     * @param {{thickness: Float32Array, columns: number, rows: number}} thicknessMap - From computeThicknessMap()
+     * @param {Object} options - Mesh options
+     * @param {number} options.width - Model width (same units as thickness)
+     * @param {number} options.height - Model height (same units as thickness)
+     * @param {string} [options.backing='flat'] - One of window.LITHOPHANE_BACKINGS
+     * @param {number} [options.curveAngle] - Arc covered by a curved backing, in degrees (capped below a full turn)
+     * @returns {{positions: Float32Array, indices: Uint32Array}} Indexed triangle mesh
+     */
+    static buildMesh(thicknessMap, options) {
+        const { thickness, columns, rows } = thicknessMap;
+        const {
+            width,
+            height,
+            backing = window.LITHOPHANE_BACKINGS.FLAT,
+            curveAngle = window.APP_CONSTANTS.DEFAULT_LITHOPHANE_CURVE_ANGLE
+        } = options;
+
+        const gridSize = columns * rows;
+        const positions = new Float32Array(gridSize * 2 * 3);
+
+        // Top (relief) vertices first, then the matching backing vertices.
+        // Row 0 is the top of the image, so it gets the largest Y.
+        for (let row = 0; row < rows; row++) {
+            const y = (0.5 - row / (rows - 1)) * height;
+            for (let column = 0; column < columns; column++) {
+                const x = (column / (columns - 1) - 0.5) * width;
+                const top = (row * columns + column) * 3;
+                const bottom = top + gridSize * 3;
+                positions[top] = positions[bottom] = x;
+                positions[top + 1] = positions[bottom + 1] = y;
+                positions[top + 2] = thickness[row * columns + column];
+            }
+        }
+
+        const cellCount = (columns - 1) * (rows - 1);
+        const wallQuads = 2 * (columns - 1) + 2 * (rows - 1);
+        const indices = new Uint32Array((cellCount * 2 + wallQuads) * 6);
+        let offset = 0;
+
+        const pushQuad = (a, b, c, d) => {
+            // Two triangles a-b-c and a-c-d, counter-clockwise seen from outside
+            indices[offset++] = a; indices[offset++] = b; indices[offset++] = c;
+            indices[offset++] = a; indices[offset++] = c; indices[offset++] = d;
+        };
+
+        for (let row = 0; row < rows - 1; row++) {
+            for (let column = 0; column < columns - 1; column++) {
+                const topLeft = row * columns + column;
+                const topRight = topLeft + 1;
+                const bottomLeft = topLeft + columns;
+                const bottomRight = bottomLeft + 1;
+
+                pushQuad(topLeft, bottomLeft, bottomRight, topRight);
+                pushQuad(
+                    gridSize + topLeft, gridSize + topRight,
+                    gridSize + bottomRight, gridSize + bottomLeft
+                );
+            }
+        }
+
+        // Side walls around the grid border
+        const lastRow = (rows - 1) * columns;
+        for (let column = 0; column < columns - 1; column++) {
+            pushQuad(column + 1, gridSize + column + 1, gridSize + column, column);
+            const a = lastRow + column;
+            pushQuad(a, gridSize + a, gridSize + a + 1, a + 1);
+        }
+        for (let row = 0; row < rows - 1; row++) {
+            const left = row * columns;
+            pushQuad(left, gridSize + left, gridSize + left + columns, left + columns);
+            const right = left + columns - 1;
+            pushQuad(right + columns, gridSize + right + columns, gridSize + right, right);
+        }
+
+        if (backing === window.LITHOPHANE_BACKINGS.CURVED && curveAngle > 0) {
+            this.bendAroundCylinder(positions, width, Math.min(window.APP_CONSTANTS.MAX_LITHOPHANE_CURVE_ANGLE, curveAngle));
+        }
+
+        return { positions, indices };
+    }
+
+    /**
+     * Wrap a flat mesh around a vertical cylinder in place. The backing
+     * (z = 0) lies on the cylinder and the relief bulges outward, with
+     * the middle of the arc staying at the origin.
+     * @param {Float32Array} positions - Flat vertex positions (x, y, z)
+     * @param {number} width - Flat width, which becomes the arc length
+     * @param {number} curveAngle - Arc angle in degrees
+     */
+    static bendAroundCylinder(positions, width, curveAngle) {
+        const radius = width / (curveAngle * Math.PI / 180);
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const angle = positions[i] / radius;
+            const distance = radius + positions[i + 2];
+            positions[i] = distance * Math.sin(angle);
+            positions[i + 2] = distance * Math.cos(angle) - radius;
+        }
+    }
+};
@@ -0,0 +1,492 @@
+/**
+ * PolyHue - Relief Mesh Builder
+ *
+ * Builds the stacked color-layer relief from a per-pixel palette index map,
+ * or from per-pixel print layer counts for a TD filament stack.
+ * Every pixel is a column as tall as its color's layer, made of one
+ * segment per layer up to it, so each color becomes one solid that sits
+ * on the one below and never overlaps it. Masks are extruded as merged
+ * geometry: greedy rectangles for the top and bottom caps and one wall
+ * per straight run of outline, with no faces between neighboring pixels.
+ * Vertices are shared wherever faces meet (no T-junctions), so every
+ * extrusion is a closed, manifold shell; cells that touch only at a corner
+ * keep their assigned color and get separate corner vertices.
+ * Geometry is written into typed arrays so it can be built in a worker
+ * and transferred back without copying.
+ */
+
+/**
+ * Mesh builder class with static methods
+ */
+window.MeshBuilder = class MeshBuilder {
+
+    /**
+     * How far (mm) the corners of two cells that touch only diagonally are
+     * pulled apart, well below what a printer resolves
+     */
+    static get PINCH_INSET() {
+        return 0.001;
+    }
+
+    /**
+     * Build one closed, manifold solid per color layer
+     * @param {Uint8Array} colorMap - Palette index per pixel (ColorMapper.TRANSPARENT for none)
+     * @param {Object} options - Layout options
+     * @param {number} options.imageWidth - Color map width in pixels
+     * @param {number} options.imageHeight - Color map height in pixels
+     * @param {number} options.modelWidth - Model width in mm
+     * @param {number} options.modelHeight - Model depth in mm
+     * @param {Array<{colorIndex: number, bottom: number, top: number}>} options.layers - Layers bottom to top
+     * @param {function(number)} [onProgress] - Called with the fraction of layers done
+     * @returns {Array<{colorIndex: number, positions: Float32Array, indices: Uint32Array}>}
+     *          Meshes for the layers that have geometry
+     */
+    static buildColorLayers(colorMap, options, onProgress = null) {
+        const { imageWidth, imageHeight, layers } = options;
+        const grid = this.createGrid(options);
+
+        // Stack level of each pixel's color (-1 for transparent pixels)
+        const levelOf = new Int16Array(256).fill(-1);
+        layers.forEach((layer, level) => {
+            levelOf[layer.colorIndex] = level;
+        });
+        const levels = new Int16Array(colorMap.length);
+        for (let p = 0; p < colorMap.length; p++) {
+            levels[p] = levelOf[colorMap[p]];
+        }
+
+        const mask = new Uint8Array(colorMap.length);
+        const meshes = [];
+
+        layers.forEach((layer, level) => {
+            onProgress?.(level / layers.length);
+
+            // A layer spans every pixel whose column reaches it
+            let pixelCount = 0;
+            for (let p = 0; p < levels.length; p++) {
+                mask[p] = levels[p] >= level ? 1 : 0;
+                pixelCount += mask[p];
+            }
+            if (pixelCount === 0) return;
+
+            const mesh = this.createMesh();
+            this.extrudeTerraces(mesh, mask, grid, [layer.bottom, layer.top]);
+            meshes.push({ colorIndex: layer.colorIndex, ...this.finishMesh(mesh) });
+        });
+
+        onProgress?.(1);
+        return meshes;
+    }
+
+    /**
+     * Build one closed, manifold solid per filament of a TD stack, with every
+     * pixel's column stopping at its own print layer count. A filament's
+     * solid covers the pixels that reach it and is terraced where columns
+     * end inside it, so thin spots of a filament print with fewer layers.
+     * @param {Uint16Array} layerCounts - Print layers per pixel (0 for none), as from TdLayering.assignLayers()
+     * @param {Object} options - Layout options
+     * @param {number} options.imageWidth - Layer count map width in pixels
+     * @param {number} options.imageHeight - Layer count map height in pixels
+     * @param {number} options.modelWidth - Model width in mm
+     * @param {number} options.modelHeight - Model depth in mm
+     * @param {Array<{colorIndex: number, startLayer: number, layerCount: number}>} options.filaments - Filaments bottom to top, in print layers
+     * @param {number} options.layerHeight - Print layer height in mm
+     * @param {number} options.firstLayerHeight - First layer height in mm
+     * @param {function(number)} [onProgress] - Called with the fraction of filaments done
+     * @returns {Array<{colorIndex: number, positions: Float32Array, indices: Uint32Array}>}
+     *          Meshes for the filaments that have geometry
+     */
+    static buildFilamentStack(layerCounts, options, onProgress = null) {
+        const { imageWidth, imageHeight, filaments } = options;
+        const grid = this.createGrid(options);
+        const stackTop = filaments.reduce((top, filament) => Math.max(top, filament.startLayer + filament.layerCount), 0);
+
+        // Group print layers into bands that no column ends inside and no
+        // filament changes inside, so each band is one terrace step
+        const ends = new Uint8Array(stackTop + 1);
+        for (let p = 0; p < layerCounts.length; p++) {
+            ends[Math.min(layerCounts[p], stackTop)] = 1;
+        }
+        filaments.forEach(filament => {
+            ends[filament.startLayer] = 1;
+            ends[filament.startLayer + filament.layerCount] = 1;
+        });
+
+        const bandOfLayer = new Int16Array(stackTop + 1).fill(-1);
+        const bandTops = [];
+        for (let layer = 1; layer <= stackTop; layer++) {
+            bandOfLayer[layer] = bandTops.length;
+            if (ends[layer]) bandTops.push(layer);
+        }
+
+        // Top band of each pixel's column (-1 for pixels without layers)
+        const levels = new Int16Array(layerCounts.length);
+        for (let p = 0; p < layerCounts.length; p++) {
+            levels[p] = bandOfLayer[Math.min(layerCounts[p], stackTop)];
+        }
+
+        const z = layer => window.SwapTable.layerTop(layer, options);
+        const steps = new Uint16Array(layerCounts.length);
+        const meshes = [];
+
+        filaments.forEach((filament, index) => {
+            onProgress?.(index / filaments.length);
+            if (filament.layerCount === 0) return;
+
+            // Terrace heights: the filament's bottom, then each of its band tops
+            const firstBand = bandOfLayer[filament.startLayer + 1];
+            const lastBand = bandOfLayer[filament.startLayer + filament.layerCount];
+            const heights = [z(filament.startLayer)];
+            for (let band = firstBand; band <= lastBand; band++) {
+                heights.push(z(bandTops[band]));
+            }
+
+            let pixelCount = 0;
+            for (let p = 0; p < levels.length; p++) {
+                steps[p] = Math.max(0, Math.min(lastBand, levels[p]) - firstBand + 1);
+                if (steps[p] > 0) pixelCount++;
+            }
+            if (pixelCount === 0) return;
+
+            const mesh = this.createMesh();
+            this.extrudeTerraces(mesh, steps, grid, heights);
+            meshes.push({ colorIndex: filament.colorIndex, ...this.finishMesh(mesh) });
+        });
+
+        onProgress?.(1);
+        return meshes;
+    }
+
+    /**
+     * Cell layout of the model: one cell per pixel, centered on the origin
+     * @returns {{width: number, height: number, cellWidth: number, cellHeight: number, originX: number, originY: number}}
+     */
+    static createGrid({ imageWidth, imageHeight, modelWidth, modelHeight }) {
+        return {
+            width: imageWidth,
+            height: imageHeight,
+            cellWidth: modelWidth / imageWidth,
+            cellHeight: modelHeight / imageHeight,
+            originX: -modelWidth / 2,
+            originY: -modelHeight / 2
+        };
+    }
+
+    /**
+     * Extrude cells to stepped heights as closed shells. A cell with step k
+     * rises from heights[0] to heights[k]; step 0 leaves it empty, so a
+     * 0/1 mask with two heights is a plain slab.
+     * Where two cells of a step touch only at a corner, a shared corner
+     * would make an edge of four faces, which slicers report as
+     * non-manifold. Each of the two cells gets its own copy of that corner
+     * instead, pulled PINCH_INSET into the cell, so they stay separate
+     * shells without changing which cells are filled.
+     * @param {Object} mesh - createMesh() accumulator
+     * @param {Uint8Array|Uint16Array} steps - Height step per cell, row-major
+     * @param {Object} grid - Cell layout ({ width, height, cellWidth, cellHeight, originX, originY })
+     * @param {Array<number>} heights - Bottom height, then the top of each step
+     */
+    static extrudeTerraces(mesh, steps, grid, heights) {
+        const { width, height } = grid;
+        const levelCount = heights.length;
+        const mask = new Uint8Array(steps.length);
+
+        // Caps at each level (the bottom faces down, step tops face up) and
+        // walls around each step's outline, rising from the level below it
+        const caps = [];
+        const walls = [];
+        for (let p = 0; p < steps.length; p++) mask[p] = steps[p] >= 1 ? 1 : 0;
+        this.greedyRectangles(mask, width, height).forEach(rect => caps.push({ rect, level: 0 }));
+
+        for (let level = 1; level < levelCount; level++) {
+            for (let p = 0; p < steps.length; p++) mask[p] = steps[p] >= level ? 1 : 0;
+            this.boundaryRuns(mask, width, height).forEach(wall => walls.push({ ...wall, level }));
+
+            for (let p = 0; p < steps.length; p++) mask[p] = steps[p] === level ? 1 : 0;
+            this.greedyRectangles(mask, width, height).forEach(rect => caps.push({ rect, level }));
+        }
+
+        // Grid points on each horizontal line (x values) and vertical line (y values),
+        // shared by every level. Every face edge is split at the points on its line,
+        // so neighboring faces always share vertices instead of meeting at T-junctions.
+        const rows = Array.from({ length: height + 1 }, () => []);
+        const columns = Array.from({ length: width + 1 }, () => []);
+        const addPoint = (x, y) => {
+            rows[y].push(x);
+            columns[x].push(y);
+        };
+        caps.forEach(({ rect: { x0, y0, x1, y1 } }) => {
+            addPoint(x0, y0);
+            addPoint(x1, y0);
+            addPoint(x1, y1);
+            addPoint(x0, y1);
+        });
+        walls.forEach(wall => {
+            if (wall.horizontal) {
+                addPoint(wall.start, wall.line);
+                addPoint(wall.end, wall.line);
+            } else {
+                addPoint(wall.line, wall.start);
+                addPoint(wall.line, wall.end);
+            }
+        });
+        const sortUnique = list => [...new Set(list)].sort((a, b) => a - b);
+        for (let y = 0; y <= height; y++) rows[y] = sortUnique(rows[y]);
+        for (let x = 0; x <= width; x++) columns[x] = sortUnique(columns[x]);
+
+        // Whether the cells of a step meet only diagonally at a grid point.
+        // Walls of the step below a level and caps and walls above it meet
+        // there, and the cells above a level are a subset of those below.
+        const filled = (x, y, level) => x >= 0 && y >= 0 && x < width && y < height &&
+            steps[y * width + x] >= Math.max(1, level);
+        const pinched = (x, y, level) => {
+            const nw = filled(x - 1, y - 1, level);
+            const ne = filled(x, y - 1, level);
+            const sw = filled(x - 1, y, level);
+            const se = filled(x, y, level);
+            return nw === se && ne === sw && nw !== ne;
+        };
+
+        // Welded vertices, keyed by grid point and level, plus the cell that
+        // owns the corner where a point is pinched
+        const vertexIds = new Map();
+        const vertex = (x, y, level, cellX, cellY) => {
+            const pinch = pinched(x, y, level);
+            let key = (y * (width + 1) + x) * levelCount + level;
+            if (pinch) key += `:${cellX},${cellY}`;
+
+            let id = vertexIds.get(key);
+            if (id === undefined) {
+                const inset = pinch ? this.PINCH_INSET : 0;
+                id = this.pushVertex(mesh,
+                    grid.originX + x * grid.cellWidth + (cellX < x ? -inset : inset),
+                    grid.originY + y * grid.cellHeight + (cellY < y ? -inset : inset),
+                    heights[level]);
+                vertexIds.set(key, id);
+            }
+            return id;
+        };
+
+        // Caps: each rectangle's outline, counter-clockwise seen from outside
+        caps.forEach(({ rect, level }) => {
+            const outline = this.rectangleOutline(rect, rows, columns);
+            const ids = outline.map(([x, y]) => vertex(x, y, level,
+                Math.min(x, rect.x1 - 1), Math.min(y, rect.y1 - 1)));
+            if (level === 0) ids.reverse();
+            const centerX = grid.originX + (rect.x0 + rect.x1) / 2 * grid.cellWidth;
+            const centerY = grid.originY + (rect.y0 + rect.y1) / 2 * grid.cellHeight;
+
+            this.addPolygon(mesh, ids, centerX, centerY, heights[level]);
+        });
+
+        // Walls: one quad per segment between split points, facing out of the step
+        walls.forEach(wall => {
+            const line = wall.horizontal ? rows[wall.line] : columns[wall.line];
+            const points = [wall.start, ...this.pointsBetween(line, wall.start, wall.end), wall.end];
+            // The filled cell along the wall next to a point, on the given side of it
+            const inside = wall.outwardPositive ? wall.line - 1 : wall.line;
+            const at = (position, level, cell) => wall.horizontal
+                ? vertex(position, wall.line, level, cell, inside)
+                : vertex(wall.line, position, level, inside, cell);
+
+            // Walls facing +y or -x wind the other way round to stay outward
+            const reversed = wall.horizontal === wall.outwardPositive;
+            for (let i = 0; i < points.length - 1; i++) {
+                const quad = [
+                    at(points[i], wall.level - 1, points[i]),
+                    at(points[i + 1], wall.level - 1, points[i + 1] - 1),
+                    at(points[i + 1], wall.level, points[i + 1] - 1),
+                    at(points[i], wall.level, points[i])
+                ];
+                if (reversed) quad.reverse();
+                this.pushTriangle(mesh, quad[0], quad[1], quad[2]);
+                this.pushTriangle(mesh, quad[0], quad[2], quad[3]);
+            }
+        });
+    }
+
+    /**
+     * Cover the set cells of a mask with few, non-overlapping rectangles:
+     * each grows right as far as it can, then down while whole rows fit
+     * @returns {Array<{x0: number, y0: number, x1: number, y1: number}>} Rectangles in grid points (x1/y1 exclusive)
+     */
+    static greedyRectangles(mask, width, height) {
+        const used = new Uint8Array(mask.length);
+        const rectangles = [];
+        const free = i => mask[i] && !used[i];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!free(y * width + x)) continue;
+
+                let x1 = x + 1;
+                while (x1 < width && free(y * width + x1)) x1++;
+
+                let y1 = y + 1;
+                while (y1 < height) {
+                    let fits = true;
+                    for (let cx = x; cx < x1 && fits; cx++) {
+                        fits = free(y1 * width + cx);
+                    }
+                    if (!fits) break;
+                    y1++;
+                }
+
+                for (let cy = y; cy < y1; cy++) {
+                    used.fill(1, cy * width + x, cy * width + x1);
+                }
+                rectangles.push({ x0: x, y0: y, x1, y1 });
+            }
+        }
+
+        return rectangles;
+    }
+
+    /**
+     * Straight runs of mask outline along grid lines
+     * @returns {Array<{horizontal: boolean, line: number, start: number, end: number, outwardPositive: boolean}>}
+     *          Runs on line y (horizontal) or x (vertical) from start to end, and whether the
+     *          outside of the mask lies towards +y / +x
+     */
+    static boundaryRuns(mask, width, height) {
+        const runs = [];
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+
+        const scan = (horizontal, lineCount, length) => {
+            for (let line = 0; line <= lineCount; line++) {
+                let run = null;
+                for (let i = 0; i <= length; i++) {
+                    // Cells on the low and high side of this unit edge
+                    const low = i < length && (horizontal ? inside(i, line - 1) : inside(line - 1, i));
+                    const high = i < length && (horizontal ? inside(i, line) : inside(line, i));
+                    const side = low === high ? 0 : (low ? 1 : -1);
+
+                    if (run && run.side !== side) {
+                        runs.push({ horizontal, line, start: run.start, end: i, outwardPositive: run.side === 1 });
+                        run = null;
+                    }
+                    if (!run && side !== 0) {
+                        run = { start: i, side };
+                    }
+                }
+            }
+        };
+
+        scan(true, height, width);
+        scan(false, width, height);
+        return runs;
+    }
+
+    /**
+     * Outline of a rectangle including every split point on its edges, counter-clockwise
+     * @returns {Array<[number, number]>} Grid points
+     */
+    static rectangleOutline({ x0, y0, x1, y1 }, rows, columns) {
+        return [
+            [x0, y0],
+            ...this.pointsBetween(rows[y0], x0, x1).map(x => [x, y0]),
+            [x1, y0],
+            ...this.pointsBetween(columns[x1], y0, y1).map(y => [x1, y]),
+            [x1, y1],
+            ...this.pointsBetween(rows[y1], x0, x1).reverse().map(x => [x, y1]),
+            [x0, y1],
+            ...this.pointsBetween(columns[x0], y0, y1).reverse().map(y => [x0, y])
+        ];
+    }
+
+    /**
+     * Values of a sorted list strictly between two bounds
+     */
+    static pointsBetween(sorted, start, end) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sorted[mid] <= start) low = mid + 1;
+            else high = mid;
+        }
+
+        const points = [];
+        for (let i = low; i < sorted.length && sorted[i] < end; i++) {
+            points.push(sorted[i]);
+        }
+        return points;
+    }
+
+    /**
+     * Triangulate a convex outline: two triangles for a plain rectangle,
+     * otherwise a fan around a center vertex so split points on the edges
+     * never produce zero-area triangles
+     */
+    static addPolygon(mesh, ids, centerX, centerY, z) {
+        if (ids.length === 4) {
+            this.pushTriangle(mesh, ids[0], ids[1], ids[2]);
+            this.pushTriangle(mesh, ids[0], ids[2], ids[3]);
+            return;
+        }
+
+        const center = this.pushVertex(mesh, centerX, centerY, z);
+        for (let i = 0; i < ids.length; i++) {
+            this.pushTriangle(mesh, center, ids[i], ids[(i + 1) % ids.length]);
+        }
+    }
+
+    /**
+     * Growable typed-array mesh accumulator
+     */
+    static createMesh() {
+        return {
+            positions: new Float32Array(3 * 1024),
+            indices: new Uint32Array(3 * 2048),
+            vertexCount: 0,
+            indexCount: 0
+        };
+    }
+
+    /**
+     * Append a vertex, growing the buffer when full
+     * @returns {number} Vertex index
+     */
+    static pushVertex(mesh, x, y, z) {
+        const offset = mesh.vertexCount * 3;
+        if (offset + 3 > mesh.positions.length) {
+            mesh.positions = this.grow(mesh.positions);
+        }
+        mesh.positions[offset] = x;
+        mesh.positions[offset + 1] = y;
+        mesh.positions[offset + 2] = z;
+        return mesh.vertexCount++;
+    }
+
+    /**
+     * Append a triangle, growing the buffer when full
+     */
+    static pushTriangle(mesh, a, b, c) {
+        if (mesh.indexCount + 3 > mesh.indices.length) {
+            mesh.indices = this.grow(mesh.indices);
+        }
+        mesh.indices[mesh.indexCount++] = a;
+        mesh.indices[mesh.indexCount++] = b;
+        mesh.indices[mesh.indexCount++] = c;
+    }
+
+    /**
+     * Copy a typed array into one twice its size
+     */
+    static grow(array) {
+        const grown = new array.constructor(array.length * 2);
+        grown.set(array);
+        return grown;
+    }
+
+    /**
+     * Trim the accumulator to the written geometry
+     * @returns {{positions: Float32Array, indices: Uint32Array}} Mesh buffers
+     */
+    static finishMesh(mesh) {
+        return {
+            positions: mesh.positions.slice(0, mesh.vertexCount * 3),
+            indices: mesh.indices.slice(0, mesh.indexCount)
+        };
+    }
+};
@@ -0,0 +1,291 @@
+/**
+ * PolyHue - Mesh Validator
+ *
+ * Checks a triangle mesh the way a slicer will see it: vertices are
+ * welded by position (STL has no shared vertices), then edges are checked
+ * for holes and non-manifold use, faces for consistent winding, each
+ * shell for outward-facing normals, and triangle pairs for intersections.
+ */
+
+/**
+ * Mesh validator class with static methods
+ */
+window.MeshValidator = class MeshValidator {
+
+    /**
+     * Meshes above this many triangles skip the (slowest) self-intersection test
+     */
+    static get MAX_INTERSECTION_TRIANGLES() {
+        return 500000;
+    }
+
+    /**
+     * Validate a triangle mesh
+     * @param {Float32Array} positions - Vertex positions (xyz)
+     * @param {Uint32Array|Uint16Array} indices - Triangle vertex indices
+     * @returns {Object} Report: triangleCount, shellCount, openEdges, nonManifoldEdges,
+     *          flippedEdges, invertedShells, degenerateTriangles, selfIntersections
+     *          (null when skipped) and valid
+     */
+    static validate(positions, indices) {
+        const vertexIds = this.weldVertices(positions);
+        const triangleCount = indices.length / 3;
+        const triangle = t => [vertexIds[indices[t * 3]], vertexIds[indices[t * 3 + 1]], vertexIds[indices[t * 3 + 2]]];
+
+        // Triangles using each undirected edge, and how often each direction occurs
+        const vertexCount = positions.length / 3;
+        const edgeTriangles = new Map();
+        const directedEdges = new Map();
+        let degenerateTriangles = 0;
+
+        for (let t = 0; t < triangleCount; t++) {
+            const corners = triangle(t);
+            if (corners[0] === corners[1] || corners[1] === corners[2] || corners[0] === corners[2]) {
+                degenerateTriangles++;
+                continue;
+            }
+            for (let k = 0; k < 3; k++) {
+                const a = corners[k];
+                const b = corners[(k + 1) % 3];
+                const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+                const users = edgeTriangles.get(key);
+                if (users) users.push(t);
+                else edgeTriangles.set(key, [t]);
+
+                const directed = a * vertexCount + b;
+                directedEdges.set(directed, (directedEdges.get(directed) || 0) + 1);
+            }
+        }
+
+        let openEdges = 0;
+        let nonManifoldEdges = 0;
+        let flippedEdges = 0;
+        const parent = new Int32Array(triangleCount).map((_, t) => t);
+        const find = t => {
+            while (parent[t] !== t) {
+                parent[t] = parent[parent[t]];
+                t = parent[t];
+            }
+            return t;
+        };
+
+        edgeTriangles.forEach((users, key) => {
+            if (users.length === 1) {
+                openEdges++;
+            } else if (users.length > 2) {
+                nonManifoldEdges++;
+            } else {
+                // Neighbors must run along their shared edge in opposite directions
+                const a = Math.floor(key / vertexCount);
+                const b = key % vertexCount;
+                if (directedEdges.get(a * vertexCount + b) !== 1) flippedEdges++;
+                parent[find(users[0])] = find(users[1]);
+            }
+        });
+
+        // Signed volume per shell: negative means its normals point inwards
+        const volumes = new Map();
+        for (let t = 0; t < triangleCount; t++) {
+            const [a, b, c] = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]].map(i => i * 3);
+            const volume = (
+                positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+                positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+                positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c])
+            ) / 6;
+            const root = find(t);
+            volumes.set(root, (volumes.get(root) || 0) + volume);
+        }
+        let invertedShells = 0;
+        volumes.forEach(volume => {
+            if (volume < 0) invertedShells++;
+        });
+
+        const selfIntersections = triangleCount <= this.MAX_INTERSECTION_TRIANGLES
+            ? this.countSelfIntersections(positions, indices, vertexIds)
+            : null;
+
+        return {
+            triangleCount,
+            shellCount: volumes.size,
+            openEdges,
+            nonManifoldEdges,
+            flippedEdges,
+            invertedShells,
+            degenerateTriangles,
+            selfIntersections,
+            valid: openEdges === 0 && nonManifoldEdges === 0 && flippedEdges === 0 &&
+                invertedShells === 0 && !selfIntersections
+        };
+    }
+
+    /**
+     * Describe the problems in a report
+     * @returns {Array<string>} One phrase per problem (empty when valid)
+     */
+    static describe(report) {
+        const problems = [];
+        const count = (n, singular, plural) => `${n} ${n === 1 ? singular : plural}`;
+
+        if (report.openEdges) problems.push(count(report.openEdges, 'open edge', 'open edges'));
+        if (report.nonManifoldEdges) problems.push(count(report.nonManifoldEdges, 'non-manifold edge', 'non-manifold edges'));
+        if (report.flippedEdges) problems.push(count(report.flippedEdges, 'edge between flipped faces', 'edges between flipped faces'));
+        if (report.invertedShells) problems.push(count(report.invertedShells, 'inside-out shell', 'inside-out shells'));
+        if (report.selfIntersections) problems.push(count(report.selfIntersections, 'self-intersection', 'self-intersections'));
+        return problems;
+    }
+
+    /**
+     * Map each vertex to the first vertex at the same position
+     * @returns {Uint32Array} Welded vertex id per vertex
+     */
+    static weldVertices(positions) {
+        const vertexCount = positions.length / 3;
+        const ids = new Uint32Array(vertexCount);
+        const seen = new Map();
+
+        for (let v = 0; v < vertexCount; v++) {
+            const key = `${positions[v * 3]},${positions[v * 3 + 1]},${positions[v * 3 + 2]}`;
+            const id = seen.get(key);
+            if (id === undefined) {
+                seen.set(key, v);
+                ids[v] = v;
+            } else {
+                ids[v] = id;
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Count pairs of triangles that cross or overlap. Triangles sharing a
+     * vertex and triangles that merely touch are not counted.
+     */
+    static countSelfIntersections(positions, indices, vertexIds) {
+        const triangleCount = indices.length / 3;
+        if (triangleCount < 2) return 0;
+
+        // Triangle bounds and the mesh bounds
+        const bounds = new Float64Array(triangleCount * 6);
+        const meshMin = [Infinity, Infinity, Infinity];
+        const meshMax = [-Infinity, -Infinity, -Infinity];
+        for (let t = 0; t < triangleCount; t++) {
+            for (let axis = 0; axis < 3; axis++) {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let k = 0; k < 3; k++) {
+                    const value = positions[indices[t * 3 + k] * 3 + axis];
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+                bounds[t * 6 + axis] = min;
+                bounds[t * 6 + 3 + axis] = max;
+                meshMin[axis] = Math.min(meshMin[axis], min);
+                meshMax[axis] = Math.max(meshMax[axis], max);
+            }
+        }
+
+        // Uniform grid over the mesh bounds; each pair is tested only in the
+        // first cell both triangles cover
+        const extent = Math.max(...meshMax.map((max, axis) => max - meshMin[axis]));
+        const epsilon = extent * 1e-7;
+        const cellSize = extent / Math.min(256, Math.ceil(Math.sqrt(triangleCount)));
+        const cellsPerAxis = meshMax.map((max, axis) => Math.floor((max - meshMin[axis]) / cellSize) + 1);
+        const cellOf = (value, axis) => Math.min(cellsPerAxis[axis] - 1, Math.floor((value - meshMin[axis]) / cellSize));
+        const cellRange = t => [0, 1, 2].map(axis => [cellOf(bounds[t * 6 + axis], axis), cellOf(bounds[t * 6 + 3 + axis], axis)]);
+
+        const cells = new Map();
+        for (let t = 0; t < triangleCount; t++) {
+            const [[x0, x1], [y0, y1], [z0, z1]] = cellRange(t);
+            for (let z = z0; z <= z1; z++) {
+                for (let y = y0; y <= y1; y++) {
+                    for (let x = x0; x <= x1; x++) {
+                        const key = (z * cellsPerAxis[1] + y) * cellsPerAxis[0] + x;
+                        const list = cells.get(key);
+                        if (list) list.push(t);
+                        else cells.set(key, [t]);
+                    }
+                }
+            }
+        }
+
+        const corners = t => [0, 1, 2].map(k => {
+            const i = indices[t * 3 + k] * 3;
+            return [positions[i], positions[i + 1], positions[i + 2]];
+        });
+        const sharesVertex = (a, b) => {
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    if (vertexIds[indices[a * 3 + i]] === vertexIds[indices[b * 3 + j]]) return true;
+                }
+            }
+            return false;
+        };
+        const boundsOverlap = (a, b) => {
+            for (let axis = 0; axis < 3; axis++) {
+                if (bounds[a * 6 + axis] > bounds[b * 6 + 3 + axis] + epsilon ||
+                    bounds[b * 6 + axis] > bounds[a * 6 + 3 + axis] + epsilon) return false;
+            }
+            return true;
+        };
+
+        let intersections = 0;
+        cells.forEach((list, key) => {
+            const x = key % cellsPerAxis[0];
+            const y = Math.floor(key / cellsPerAxis[0]) % cellsPerAxis[1];
+            const z = Math.floor(key / (cellsPerAxis[0] * cellsPerAxis[1]));
+
+            for (let i = 0; i < list.length; i++) {
+                const rangeA = cellRange(list[i]);
+                for (let j = i + 1; j < list.length; j++) {
+                    const a = list[i];
+                    const b = list[j];
+                    const rangeB = cellRange(b);
+                    if (Math.max(rangeA[0][0], rangeB[0][0]) !== x ||
+                        Math.max(rangeA[1][0], rangeB[1][0]) !== y ||
+                        Math.max(rangeA[2][0], rangeB[2][0]) !== z) continue;
+                    if (!boundsOverlap(a, b) || sharesVertex(a, b)) continue;
+                    if (this.trianglesIntersect(corners(a), corners(b), epsilon)) intersections++;
+                }
+            }
+        });
+
+        return intersections;
+    }
+
+    /**
+     * Separating-axis test for two triangles. Triangles that only touch
+     * (meet within epsilon along some axis) do not intersect.
+     * @param {Array<Array<number>>} a - Three [x, y, z] corners
+     * @param {Array<Array<number>>} b - Three [x, y, z] corners
+     */
+    static trianglesIntersect(a, b, epsilon) {
+        const sub = (p, q) => [p[0] - q[0], p[1] - q[1], p[2] - q[2]];
+        const cross = (p, q) => [p[1] * q[2] - p[2] * q[1], p[2] * q[0] - p[0] * q[2], p[0] * q[1] - p[1] * q[0]];
+        const dot = (p, q) => p[0] * q[0] + p[1] * q[1] + p[2] * q[2];
+        const separates = axis => {
+            const length = Math.hypot(...axis);
+            if (length < 1e-12) return false;
+            const projectA = a.map(p => dot(p, axis));
+            const projectB = b.map(p => dot(p, axis));
+            const tolerance = epsilon * length;
+            return Math.max(...projectA) <= Math.min(...projectB) + tolerance ||
+                Math.max(...projectB) <= Math.min(...projectA) + tolerance;
+        };
+
+        const edgesA = [sub(a[1], a[0]), sub(a[2], a[1]), sub(a[0], a[2])];
+        const edgesB = [sub(b[1], b[0]), sub(b[2], b[1]), sub(b[0], b[2])];
+        const normalA = cross(edgesA[0], edgesA[1]);
+        const normalB = cross(edgesB[0], edgesB[1]);
+        if (Math.hypot(...normalA) < 1e-12 || Math.hypot(...normalB) < 1e-12) return false;
+
+        const offsetA = dot(normalA, a[0]);
+        const coplanar = b.every(p => Math.abs(dot(normalA, p) - offsetA) <= epsilon * Math.hypot(...normalA));
+        if (coplanar) {
+            // Separate along the in-plane edge normals instead
+            return ![...edgesA, ...edgesB].some(edge => separates(cross(normalA, edge)));
+        }
+
+        if (separates(normalA) || separates(normalB)) return false;
+        return !edgesA.some(edgeA => edgesB.some(edgeB => separates(cross(edgeA, edgeB))));
+    }
+};
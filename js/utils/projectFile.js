@@ -0,0 +1,165 @@
+/**
+ * PolyHue - Project File
+ *
+ * Saves a project as a `.polyhue` file: versioned JSON holding the source
+ * image (as the PNG the app works from), the colors and every setting.
+ * Loading runs the file through the migrations up to the current schema
+ * version, and settings added after a file was saved take their defaults.
+ */
+
+/**
+ * Project file class with static methods
+ */
+window.ProjectFile = class ProjectFile {
+
+    /**
+     * Current schema version; bump it and add a migration when the saved
+     * shape changes
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Upgrades keyed by the version they start from: MIGRATIONS[n] turns a
+     * version n project into version n + 1
+     */
+    static get MIGRATIONS() {
+        return {};
+    }
+
+    /**
+     * State keys saved as settings
+     */
+    static get SETTINGS() {
+        return [
+            'paletteLocked',
+            'totalHeight',
+            'dimensions',
+            'quantization',
+            'colorMapping',
+            'tdLayering',
+            'swapTable',
+            'modelMode',
+            'lithophane',
+            'exportSettings'
+        ];
+    }
+
+    /**
+     * Color region fields saved per color
+     */
+    static get COLOR_FIELDS() {
+        return ['id', 'hex', 'percent', 'custom', 'height', 'order', 'td', 'filament'];
+    }
+
+    /**
+     * Whether a file looks like a project rather than an image
+     * @param {File} file - Uploaded file
+     */
+    static isProjectFile(file) {
+        return file.name.toLowerCase().endsWith(window.EXPORT_EXTENSIONS.polyhue.extension);
+    }
+
+    /**
+     * Serializable project from the app state
+     * @param {ProjectState} state - App state with an image
+     * @returns {PolyHueProject}
+     */
+    static create(state) {
+        const { image } = state;
+        return {
+            format: 'polyhue',
+            version: this.VERSION,
+            savedAt: new Date().toISOString(),
+            image: {
+                src: image.src,
+                fileName: image.fileName,
+                fileSize: image.fileSize,
+                format: image.format,
+                width: image.width,
+                height: image.height,
+                originalDimensions: image.originalDimensions
+            },
+            colors: state.colors.map(color => Object.fromEntries(
+                this.COLOR_FIELDS.filter(field => color[field] !== undefined).map(field => [field, color[field]])
+            )),
+            settings: Object.fromEntries(this.SETTINGS.map(key => [key, state[key]])),
+            currentStep: state.currentStep
+        };
+    }
+
+    /**
+     * Read a project file's text
+     * @param {string} text - File contents
+     * @returns {PolyHueProject} Project at the current schema version
+     */
+    static parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a PolyHue project: the file is not valid JSON');
+        }
+        return this.read(project);
+    }
+
+    /**
+     * Check and migrate a project object (from a file or the project store)
+     * @returns {PolyHueProject} Project at the current schema version
+     */
+    static read(project) {
+        if (project?.format !== 'polyhue' || !Number.isInteger(project.version)) {
+            throw new Error('Not a PolyHue project');
+        }
+        if (project.version > this.VERSION) {
+            throw new Error(`Saved by a newer version of PolyHue (project version ${project.version}); please update`);
+        }
+
+        project = this.migrate(project);
+        if (!project.image?.src || !Array.isArray(project.colors) || project.colors.length === 0) {
+            throw new Error('The project has no image or colors');
+        }
+        return project;
+    }
+
+    /**
+     * Upgrade a project to the current schema version
+     */
+    static migrate(project) {
+        const migrations = this.MIGRATIONS;
+        while (project.version < this.VERSION) {
+            const migration = migrations[project.version];
+            if (!migration) {
+                throw new Error(`Can't open project version ${project.version}`);
+            }
+            project = { ...migration(project), version: project.version + 1 };
+        }
+        return project;
+    }
+
+    /**
+     * App state for a project, without the decoded image
+     * @param {PolyHueProject} project - Parsed project
+     * @param {ProjectState} defaults - Fresh state; fills settings the project predates
+     * @returns {ProjectState}
+     */
+    static restoreState(project, defaults) {
+        const state = { ...defaults };
+
+        this.SETTINGS.forEach(key => {
+            const saved = project.settings?.[key];
+            if (saved === undefined) return;
+            state[key] = defaults[key] && typeof defaults[key] === 'object'
+                ? { ...defaults[key], ...saved }
+                : saved;
+        });
+
+        state.colors = project.colors.map(color => ({
+            ...color,
+            rgb: window.ImageProcessor.hexToRgb(color.hex)
+        }));
+        state.currentStep = project.currentStep || 2;
+        return state;
+    }
+};
@@ -0,0 +1,136 @@
+/**
+ * PolyHue - Project Store
+ *
+ * Keeps autosaved projects in IndexedDB so work survives a reload or a
+ * crashed tab. Each record holds the project (ProjectFile schema, without
+ * the embedded image), the image as a Blob and a small thumbnail for the
+ * recent projects list. Only the most recent projects are kept.
+ */
+
+/**
+ * Project store class with static methods
+ */
+window.ProjectStore = class ProjectStore {
+
+    /**
+     * IndexedDB database name
+     */
+    static get DB_NAME() {
+        return 'polyhue';
+    }
+
+    /**
+     * Object store holding one record per project
+     */
+    static get STORE_NAME() {
+        return 'projects';
+    }
+
+    /**
+     * Projects kept; older ones are removed on save
+     */
+    static get MAX_PROJECTS() {
+        return 12;
+    }
+
+    /**
+     * Whether the browser offers IndexedDB (private windows may not)
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    static open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again rather than keep a failed open
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run a request against the store and wait for its transaction
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): IDBRequest} work - Issues the request
+     * @returns {Promise<*>} Request result
+     */
+    static async request(mode, work) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.STORE_NAME, mode);
+            const request = work(transaction.objectStore(this.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    /**
+     * Save or replace a project, then drop the oldest beyond MAX_PROJECTS
+     * @param {StoredProject} record - Project record
+     */
+    static async save(record) {
+        await this.request('readwrite', store => store.put(record));
+        await this.prune();
+    }
+
+    /**
+     * Load a project record
+     * @returns {Promise<StoredProject|undefined>}
+     */
+    static get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    /**
+     * Remove a project
+     */
+    static remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Saved projects, most recent first, without their project data and image
+     * @returns {Promise<Array<{id: string, name: string, updatedAt: number, thumbnail: string}>>}
+     */
+    static async list() {
+        const records = await this.request('readonly', store => store.getAll());
+        return records
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map(({ id, name, updatedAt, thumbnail }) => ({ id, name, updatedAt, thumbnail }));
+    }
+
+    /**
+     * Keep only the most recently updated projects
+     */
+    static async prune() {
+        const projects = await this.list();
+        for (const { id } of projects.slice(this.MAX_PROJECTS)) {
+            await this.remove(id);
+        }
+    }
+
+    /**
+     * New project id
+     */
+    static createId() {
+        return typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+};
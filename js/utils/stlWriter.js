@@ -0,0 +1,150 @@
+/**
+ * PolyHue - STL Writer
+ *
+ * Writes binary (default) or ASCII STL straight from typed-array meshes.
+ * Geometry is encoded in fixed-size chunks that go into the Blob as they
+ * are produced, so large models never become one giant string or buffer.
+ */
+
+/**
+ * STL writer class with static methods
+ */
+window.StlWriter = class StlWriter {
+
+    /**
+     * Triangles encoded per Blob chunk
+     */
+    static get CHUNK_TRIANGLES() {
+        return 20000;
+    }
+
+    /**
+     * Write meshes as one STL solid
+     * @param {Array<Object>} meshes - { positions (Float32Array), indices (Uint32Array),
+     *        matrix (optional column-major 4x4 world transform) }
+     * @param {Object} options - Output options
+     * @param {boolean} [options.binary=true] - Binary STL; false writes ASCII
+     * @param {string} [options.name] - Solid name / header text
+     * @param {function(number)} [onProgress] - Called with the fraction of triangles written
+     * @returns {Blob} STL file
+     */
+    static create(meshes, options = {}, onProgress = null) {
+        const { binary = true, name = 'PolyHue' } = options;
+        const totalTriangles = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+
+        const chunks = [binary ? this.binaryHeader(name, totalTriangles) : `solid ${name}\n`];
+        const writeChunk = binary ? this.binaryChunk : this.asciiChunk;
+        let written = 0;
+
+        meshes.forEach(mesh => {
+            const positions = mesh.matrix ? this.transform(mesh.positions, mesh.matrix) : mesh.positions;
+            const triangleCount = mesh.indices.length / 3;
+
+            for (let start = 0; start < triangleCount; start += this.CHUNK_TRIANGLES) {
+                const end = Math.min(triangleCount, start + this.CHUNK_TRIANGLES);
+                chunks.push(writeChunk.call(this, positions, mesh.indices, start, end));
+                written += end - start;
+                onProgress?.(written / totalTriangles);
+            }
+        });
+
+        if (!binary) {
+            chunks.push(`endsolid ${name}\n`);
+        }
+        return new Blob(chunks, { type: 'application/vnd.ms-pki.stl' });
+    }
+
+    /**
+     * 80-byte header plus the triangle count
+     */
+    static binaryHeader(name, triangleCount) {
+        const header = new Uint8Array(84);
+        const text = new TextEncoder().encode(`${name} binary STL`.slice(0, 80));
+        header.set(text);
+        new DataView(header.buffer).setUint32(80, triangleCount, true);
+        return header;
+    }
+
+    /**
+     * Binary facets for triangles [start, end)
+     * @returns {ArrayBuffer} 50 bytes per triangle
+     */
+    static binaryChunk(positions, indices, start, end) {
+        const buffer = new ArrayBuffer((end - start) * 50);
+        const view = new DataView(buffer);
+        const facet = new Float32Array(12);
+        let offset = 0;
+
+        for (let t = start; t < end; t++) {
+            this.facet(positions, indices, t, facet);
+            for (let i = 0; i < 12; i++) {
+                view.setFloat32(offset + i * 4, facet[i], true);
+            }
+            // Attribute byte count stays 0
+            offset += 50;
+        }
+        return buffer;
+    }
+
+    /**
+     * ASCII facets for triangles [start, end)
+     * @returns {string} facet blocks
+     */
+    static asciiChunk(positions, indices, start, end) {
+        const facet = new Float32Array(12);
+        const lines = [];
+        const format = (values, from) => `${+values[from].toFixed(6)} ${+values[from + 1].toFixed(6)} ${+values[from + 2].toFixed(6)}`;
+
+        for (let t = start; t < end; t++) {
+            this.facet(positions, indices, t, facet);
+            lines.push(
+                `facet normal ${format(facet, 0)}`,
+                'outer loop',
+                `vertex ${format(facet, 3)}`,
+                `vertex ${format(facet, 6)}`,
+                `vertex ${format(facet, 9)}`,
+                'endloop',
+                'endfacet'
+            );
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Unit normal and corners of one triangle
+     * @param {Float32Array} out - Receives normal xyz then the three corners
+     */
+    static facet(positions, indices, t, out) {
+        for (let k = 0; k < 3; k++) {
+            const v = indices[t * 3 + k] * 3;
+            out[3 + k * 3] = positions[v];
+            out[4 + k * 3] = positions[v + 1];
+            out[5 + k * 3] = positions[v + 2];
+        }
+
+        const ux = out[6] - out[3], uy = out[7] - out[4], uz = out[8] - out[5];
+        const vx = out[9] - out[3], vy = out[10] - out[4], vz = out[11] - out[5];
+        const nx = uy * vz - uz * vy;
+        const ny = uz * vx - ux * vz;
+        const nz = ux * vy - uy * vx;
+        const length = Math.hypot(nx, ny, nz) || 1;
+        out[0] = nx / length;
+        out[1] = ny / length;
+        out[2] = nz / length;
+    }
+
+    /**
+     * Apply a column-major 4x4 affine transform to positions
+     * @returns {Float32Array} Transformed copy
+     */
+    static transform(positions, m) {
+        const result = new Float32Array(positions.length);
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            result[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+            result[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+            result[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+        }
+        return result;
+    }
+};
@@ -0,0 +1,182 @@
+/**
+ * PolyHue - Swap Table
+ *
+ * Turns the color stack into filament swaps for single-extruder printing:
+ * each color boundary is snapped to the nearest printed layer for a given
+ * layer height and first-layer height, and the resulting table is written
+ * as Markdown, as PrusaSlicer / Bambu Studio color-change lists, or as M600
+ * insertion points for the slicer's layer-change G-code.
+ */
+
+/**
+ * Swap table class with static methods
+ */
+window.SwapTable = class SwapTable {
+
+    /**
+     * Build the swap table
+     * @param {Array<{hex: string, name?: string, height: number}>} layers - Colors bottom to top, height in mm
+     * @param {Object} options - Print settings
+     * @param {number} options.layerHeight - Layer height in mm
+     * @param {number} options.firstLayerHeight - First layer height in mm
+     * @returns {SwapTableResult} Rows bottom to top; every row after the first is a swap
+     */
+    static create(layers, options) {
+        const { layerHeight, firstLayerHeight } = options;
+        if (!(layerHeight > 0) || !(firstLayerHeight > 0)) {
+            throw new Error('Layer heights must be positive');
+        }
+
+        // Print layers completed below each color boundary
+        let boundary = 0;
+        const layersBelow = layers.map(layer => {
+            const count = this.layersBelow(boundary, options);
+            boundary += layer.height;
+            return count;
+        });
+        const layerCount = Math.max(1, this.layersBelow(boundary, options));
+
+        const rows = layers.map((layer, index) => {
+            // A color can't start before the first layer is down
+            const below = index === 0 ? 0 : Math.max(1, layersBelow[index]);
+            const nextBelow = index + 1 < layers.length ? Math.max(1, layersBelow[index + 1]) : layerCount;
+            return {
+                hex: layer.hex,
+                name: layer.name || layer.hex,
+                startLayer: below + 1,
+                endLayer: nextBelow,
+                layers: Math.max(0, nextBelow - below),
+                startZ: this.round(this.layerTop(below, options)),
+                z: this.round(this.layerTop(below + 1, options))
+            };
+        });
+
+        return {
+            layerHeight,
+            firstLayerHeight,
+            layerCount,
+            totalHeight: this.round(this.layerTop(layerCount, options)),
+            rows,
+            // Colors thinner than half a layer vanish at this layer height
+            skipped: rows.filter(row => row.layers === 0).map(row => row.name)
+        };
+    }
+
+    /**
+     * Number of whole print layers closest to a height
+     */
+    static layersBelow(z, { layerHeight, firstLayerHeight }) {
+        if (z < firstLayerHeight / 2) return 0;
+        return Math.max(1, Math.round((z - firstLayerHeight) / layerHeight) + 1);
+    }
+
+    /**
+     * Top Z of a 1-based print layer (0 gives the bed)
+     */
+    static layerTop(layer, { layerHeight, firstLayerHeight }) {
+        return layer === 0 ? 0 : firstLayerHeight + (layer - 1) * layerHeight;
+    }
+
+    /**
+     * Round to the micron, so Z values print cleanly
+     */
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Swaps only: rows after the first that still get at least one layer
+     */
+    static swaps(table) {
+        return table.rows.slice(1).filter(row => row.layers > 0);
+    }
+
+    /**
+     * Markdown table for printing out or pasting into notes
+     * @param {string} [title] - Heading
+     * @returns {string} Markdown document
+     */
+    static toMarkdown(table, title = 'Filament swap table') {
+        const lines = [
+            `# ${title}`,
+            '',
+            `Layer height ${table.layerHeight} mm, first layer ${table.firstLayerHeight} mm, ${table.layerCount} layers (${table.totalHeight} mm).`,
+            '',
+            '| # | Color | Layers | From Z (mm) | Swap at |',
+            '|---|-------|--------|-------------|---------|'
+        ];
+
+        table.rows.forEach((row, index) => {
+            const swap = index === 0 ? 'Start' : row.layers > 0 ? `Layer ${row.startLayer} (Z ${row.z})` : 'Skipped';
+            const span = row.layers > 0 ? `${row.startLayer}–${row.endLayer}` : '—';
+            lines.push(`| ${index + 1} | ${row.name} | ${span} | ${row.startZ} | ${swap} |`);
+        });
+
+        if (table.skipped.length > 0) {
+            lines.push('', `Too thin to print at this layer height: ${table.skipped.join(', ')}.`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * PrusaSlicer color changes, mirroring its custom_gcode_per_print_z list
+     * (print_z is the top of the first layer in the new color)
+     * @returns {Object} JSON-serializable object
+     */
+    static toPrusaSlicer(table) {
+        return {
+            custom_gcode_per_print_z: {
+                mode: 'SingleExtruder',
+                gcodes: this.swaps(table).map(row => ({
+                    print_z: row.z,
+                    type: 'ColorChange',
+                    extruder: 1,
+                    color: row.hex.toUpperCase(),
+                    extra: row.name,
+                    gcode: 'M600'
+                }))
+            }
+        };
+    }
+
+    /**
+     * Bambu Studio color changes, mirroring its custom_gcode_per_layer list
+     * (type 0 is a color change; top_z as PrusaSlicer's print_z)
+     * @returns {Object} JSON-serializable object
+     */
+    static toBambuStudio(table) {
+        return {
+            custom_gcode_per_layer: {
+                mode: 'SingleExtruder',
+                plate: 1,
+                layers: this.swaps(table).map(row => ({
+                    top_z: row.z,
+                    type: 0,
+                    extruder: 1,
+                    color: row.hex.toUpperCase(),
+                    extra: row.name,
+                    gcode: 'M600'
+                }))
+            }
+        };
+    }
+
+    /**
+     * M600 insertion points: a readable list and a conditional block for
+     * the slicer's "after layer change" custom G-code (layer_num counts
+     * from 0 in both PrusaSlicer and Bambu Studio)
+     * @returns {string} G-code comments and macro lines
+     */
+    static toM600(table) {
+        const swaps = this.swaps(table);
+        return [
+            `; PolyHue filament swaps: layer height ${table.layerHeight} mm, first layer ${table.firstLayerHeight} mm`,
+            `; Start with ${table.rows[0]?.name ?? 'the first color'}`,
+            ...swaps.map(row => `; Z ${row.z} mm (layer ${row.startLayer}): M600, load ${row.name}`),
+            ';',
+            '; Paste into the slicer\'s "After layer change" G-code:',
+            ...swaps.map(row => `{if layer_num == ${row.startLayer - 1}}M600 ; ${row.name}{endif}`),
+            ''
+        ].join('\n');
+    }
+};
@@ -0,0 +1,127 @@
+/**
+ * PolyHue - Filament Transmission-Distance Layering
+ *
+ * HueForge-style layering: the ordered color stack is sliced into print
+ * layers, each filament's transmission distance (TD) decides how much of
+ * the color below still shows through, and every pixel is assigned the
+ * number of layers whose blended color best matches it.
+ */
+
+/**
+ * TD layering class with static methods
+ */
+window.TdLayering = class TdLayering {
+
+    /**
+     * Fraction of light a filament still lets through at its TD.
+     * TD is read as the thickness where a filament looks opaque, so this
+     * is small but non-zero to keep the falloff exponential.
+     */
+    static get TRANSMISSION_AT_TD() {
+        return 0.01;
+    }
+
+    /**
+     * Slice the filaments into print layers. Boundaries are snapped to
+     * whole layers exactly as in the swap table, so the blended colors,
+     * the relief and the filament swaps all use the same layers.
+     * @param {Array<{id: number, rgb: RGB, td: number, height: number}>} layers - Filaments bottom to top, height in mm
+     * @param {Object} options - Print settings
+     * @param {number} options.layerHeight - Layer height in mm
+     * @param {number} options.firstLayerHeight - First layer height in mm
+     * @returns {{layerHeight: number, firstLayerHeight: number, layerCount: number, filaments: Array<{id: number, rgb: RGB, td: number, startLayer: number, layerCount: number}>}}
+     *          Filaments bottom to top, each covering a run of whole layers (none when thinner than half a layer)
+     */
+    static buildStack(layers, options) {
+        const { layerHeight, firstLayerHeight } = options;
+        const table = window.SwapTable.create(layers, options);
+
+        const filaments = layers.map((layer, index) => ({
+            id: layer.id,
+            rgb: layer.rgb,
+            td: layer.td || window.APP_CONSTANTS.DEFAULT_FILAMENT_TD,
+            startLayer: table.rows[index].startLayer - 1,
+            layerCount: table.rows[index].layers
+        }));
+
+        return { layerHeight, firstLayerHeight, layerCount: table.layerCount, filaments };
+    }
+
+    /**
+     * Perceived color of the stack when printed up to each layer.
+     * Blending happens in linear light: every layer keeps
+     * `transmission` of the color underneath and adds the rest from its filament.
+     * @param {Object} stack - Result of buildStack()
+     * @returns {Array<RGB>} Entry n-1 is the color seen on a pixel printed n layers high
+     */
+    static computeLayerColors(stack) {
+        const lut = window.ColorDistance.getLinearLut();
+        const absorption = -Math.log(this.TRANSMISSION_AT_TD);
+        const colors = [];
+        let current = null;
+
+        stack.filaments.forEach(filament => {
+            const target = [lut[filament.rgb.r], lut[filament.rgb.g], lut[filament.rgb.b]];
+            const transmission = Math.exp(-absorption * stack.layerHeight / filament.td);
+
+            for (let layer = 0; layer < filament.layerCount; layer++) {
+                // The first layer sits on the bed with nothing underneath to show through
+                current = current
+                    ? current.map((value, channel) => value * transmission + target[channel] * (1 - transmission))
+                    : target.slice();
+                colors.push({
+                    r: this.linearToSrgb(current[0]),
+                    g: this.linearToSrgb(current[1]),
+                    b: this.linearToSrgb(current[2])
+                });
+            }
+        });
+
+        return colors;
+    }
+
+    /**
+     * Convert a linear-light channel back to 8-bit sRGB
+     */
+    static linearToSrgb(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(255, Math.round(c * 255)));
+    }
+
+    /**
+     * Pick the layer count whose blended color is closest to each pixel
+     * @param {Uint8ClampedArray} pixels - RGBA pixel data
+     * @param {Object} stack - Result of buildStack()
+     * @param {string} metric - One of window.COLOR_METRICS
+     * @param {function(number)} [onProgress] - Called with the fraction of pixels done
+     * @returns {{layerCounts: Uint16Array, layerColors: Array<RGB>}} Layers per pixel (0 = transparent) and the blended colors
+     */
+    static assignLayers(pixels, stack, metric = window.APP_CONSTANTS.DEFAULT_COLOR_METRIC, onProgress = null) {
+        const layerColors = this.computeLayerColors(stack);
+        const matcher = window.ColorDistance.createMatcher(layerColors, metric);
+        const pixelCount = pixels.length / 4;
+        const layerCounts = new Uint16Array(pixelCount);
+
+        for (let p = 0; p < pixelCount; p++) {
+            if (onProgress && (p & 0xffff) === 0) onProgress(p / pixelCount);
+
+            const i = p * 4;
+            if (pixels[i + 3] < 128) continue;
+            layerCounts[p] = matcher.nearest(pixels[i], pixels[i + 1], pixels[i + 2]) + 1;
+        }
+
+        return { layerCounts, layerColors };
+    }
+
+    /**
+     * How many layers of each filament a pixel printed `layerCount` layers high uses
+     * @param {Object} stack - Result of buildStack()
+     * @param {number} layerCount - Total layers at the pixel
+     * @returns {Array<number>} Layers per filament, bottom to top
+     */
+    static filamentLayers(stack, layerCount) {
+        return stack.filaments.map(filament =>
+            Math.max(0, Math.min(filament.layerCount, layerCount - filament.startLayer))
+        );
+    }
+};
@@ -0,0 +1,208 @@
+/**
+ * PolyHue - 3MF Writer (beta)
+ *
+ * Packages the color layers as one multi-part object on a single build
+ * plate. Each layer is a mesh object with its display color, referenced
+ * as a component of the printed object, and its filament slot is written
+ * to the PrusaSlicer (Slic3r_PE_model.config) and Bambu Studio
+ * (model_settings.config) part settings so both open it ready to print.
+ */
+
+/**
+ * 3MF writer class with static methods
+ */
+window.ThreeMFWriter = class ThreeMFWriter {
+
+    /**
+     * Bed position (mm) the model is centered on; fits common 250 mm class printers
+     */
+    static get PLATE_CENTER() {
+        return { x: 128, y: 128 };
+    }
+
+    /**
+     * Build a 3MF package
+     * @param {Array<Object>} parts - Bodies bottom to top: { name, color ('#rrggbb'),
+     *        extruder (1-based filament slot), positions (Float32Array, mm), indices (Uint32Array) }
+     * @param {Object} options - Package options
+     * @param {string} [options.title] - Object and model title
+     * @param {ExportConfiguration['metadata']} [options.metadata] - Title, author, description, created, software
+     * @param {function(number)} [onProgress] - Called with the fraction done
+     * @returns {Promise<Uint8Array>} 3MF (ZIP) bytes
+     */
+    static async create(parts, options = {}, onProgress = null) {
+        const metadata = options.metadata || {};
+        const title = metadata.title || options.title || 'PolyHue model';
+        const files = [
+            { name: '[Content_Types].xml', data: this.contentTypes() },
+            { name: '_rels/.rels', data: this.relationships() },
+            { name: '3D/3dmodel.model', data: this.model(parts, title, metadata, fraction => onProgress?.(fraction * 0.6)) },
+            { name: 'Metadata/Slic3r_PE_model.config', data: this.prusaConfig(parts, title) },
+            { name: 'Metadata/model_settings.config', data: this.bambuConfig(parts, title) }
+        ];
+
+        return window.ZipWriter.create(files, {}, fraction => onProgress?.(0.6 + fraction * 0.4));
+    }
+
+    /**
+     * Resource id of the assembled object; parts use 2..n+1 and the color table 1
+     */
+    static assemblyId(parts) {
+        return parts.length + 2;
+    }
+
+    /**
+     * [Content_Types].xml for the package parts
+     */
+    static contentTypes() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+            ' <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+            ' <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+            ' <Default Extension="config" ContentType="text/xml"/>',
+            '</Types>'
+        ].join('\n');
+    }
+
+    /**
+     * Package relationships pointing at the 3D model part
+     */
+    static relationships() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+            ' <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>',
+            '</Relationships>'
+        ].join('\n');
+    }
+
+    /**
+     * The 3D model part: metadata, color table, one mesh object per part
+     * and the assembly placed on the build plate
+     * @returns {string} Model XML
+     */
+    static model(parts, title, metadata, onProgress) {
+        const center = this.PLATE_CENTER;
+        const assemblyId = this.assemblyId(parts);
+        const round = value => String(Math.round(value * 10000) / 10000);
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+            ` <metadata name="Title">${this.escape(title)}</metadata>`,
+            ...this.metadataLines(metadata),
+            ' <resources>',
+            '  <basematerials id="1">',
+            ...parts.map(part => `   <base name="${this.escape(part.name)}" displaycolor="${part.color.toUpperCase()}"/>`),
+            '  </basematerials>'
+        ];
+
+        parts.forEach((part, index) => {
+            onProgress(index / parts.length);
+            const { positions, indices } = part;
+            xml.push(`  <object id="${index + 2}" name="${this.escape(part.name)}" type="model" pid="1" pindex="${index}">`);
+            xml.push('   <mesh>', '    <vertices>');
+            for (let i = 0; i < positions.length; i += 3) {
+                xml.push(`     <vertex x="${round(positions[i])}" y="${round(positions[i + 1])}" z="${round(positions[i + 2])}"/>`);
+            }
+            xml.push('    </vertices>', '    <triangles>');
+            for (let i = 0; i < indices.length; i += 3) {
+                xml.push(`     <triangle v1="${indices[i]}" v2="${indices[i + 1]}" v3="${indices[i + 2]}"/>`);
+            }
+            xml.push('    </triangles>', '   </mesh>', '  </object>');
+        });
+
+        xml.push(
+            `  <object id="${assemblyId}" name="${this.escape(title)}" type="model">`,
+            '   <components>',
+            ...parts.map((part, index) => `    <component objectid="${index + 2}"/>`),
+            '   </components>',
+            '  </object>',
+            ' </resources>',
+            ' <build>',
+            `  <item objectid="${assemblyId}" transform="1 0 0 0 1 0 0 0 1 ${center.x} ${center.y} 0" printable="1"/>`,
+            ' </build>',
+            '</model>'
+        );
+        onProgress(1);
+        return xml.join('\n');
+    }
+
+    /**
+     * Standard 3MF metadata elements for the export details
+     * @returns {Array<string>} XML lines
+     */
+    static metadataLines(metadata) {
+        const created = metadata.created instanceof Date ? metadata.created : new Date();
+        return [
+            ['Designer', metadata.author],
+            ['Description', metadata.description],
+            ['CreationDate', created.toISOString().slice(0, 10)],
+            ['Application', metadata.software || 'PolyHue']
+        ]
+            .filter(([, value]) => value)
+            .map(([name, value]) => ` <metadata name="${name}">${this.escape(value)}</metadata>`);
+    }
+
+    /**
+     * PrusaSlicer volumes: triangle ranges of the merged object, each with its extruder
+     * @returns {string} Config XML
+     */
+    static prusaConfig(parts, title) {
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<config>',
+            ` <object id="${this.assemblyId(parts)}" instances_count="1">`,
+            `  <metadata type="object" key="name" value="${this.escape(title)}"/>`
+        ];
+
+        let firstTriangle = 0;
+        parts.forEach(part => {
+            const triangleCount = part.indices.length / 3;
+            xml.push(
+                `  <volume firstid="${firstTriangle}" lastid="${firstTriangle + triangleCount - 1}">`,
+                `   <metadata type="volume" key="name" value="${this.escape(part.name)}"/>`,
+                '   <metadata type="volume" key="volume_type" value="ModelPart"/>',
+                `   <metadata type="volume" key="extruder" value="${part.extruder}"/>`,
+                '  </volume>'
+            );
+            firstTriangle += triangleCount;
+        });
+
+        xml.push(' </object>', '</config>');
+        return xml.join('\n');
+    }
+
+    /**
+     * Bambu Studio parts: one per component object, each with its filament
+     * @returns {string} Config XML
+     */
+    static bambuConfig(parts, title) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<config>',
+            ` <object id="${this.assemblyId(parts)}">`,
+            `  <metadata key="name" value="${this.escape(title)}"/>`,
+            `  <metadata key="extruder" value="${parts[0]?.extruder || 1}"/>`,
+            ...parts.flatMap((part, index) => [
+                `  <part id="${index + 2}" subtype="normal_part">`,
+                `   <metadata key="name" value="${this.escape(part.name)}"/>`,
+                `   <metadata key="extruder" value="${part.extruder}"/>`,
+                '  </part>'
+            ]),
+            ' </object>',
+            '</config>'
+        ].join('\n');
+    }
+
+    /**
+     * Escape text for XML attributes and content
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
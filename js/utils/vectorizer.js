@@ -0,0 +1,149 @@
+/**
+ * PolyHue - Vectorizer
+ *
+ * Traces the pixel regions of each palette color in a color map into
+ * closed outlines along pixel edges, and writes them as an SVG with one
+ * path group per color. Outlines wind clockwise around filled areas and
+ * counter-clockwise around holes, so the default nonzero fill rule
+ * renders them exactly.
+ */
+
+/**
+ * Vectorizer class with static methods
+ */
+window.Vectorizer = class Vectorizer {
+
+    /**
+     * Trace the outlines of one color
+     * @param {Uint8Array} colorMap - Palette index per pixel
+     * @param {number} width - Color map width
+     * @param {number} height - Color map height
+     * @param {number} colorIndex - Palette index to trace
+     * @returns {Array<Array<number>>} Closed loops as flat [x0, y0, x1, y1, ...] corner lists (no repeated start)
+     */
+    static traceColor(colorMap, width, height, colorIndex) {
+        const stride = width + 1;
+        const inColor = (x, y) => x >= 0 && y >= 0 && x < width && y < height && colorMap[y * width + x] === colorIndex;
+
+        // Directed boundary edges, start vertex -> end vertex. A vertex
+        // where two regions touch diagonally has a second outgoing edge.
+        const next = new Map();
+        const nextExtra = new Map();
+        const addEdge = (x0, y0, x1, y1) => {
+            const start = y0 * stride + x0;
+            const end = y1 * stride + x1;
+            if (next.has(start)) nextExtra.set(start, end);
+            else next.set(start, end);
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (colorMap[y * width + x] !== colorIndex) continue;
+                // Clockwise on screen (y down)
+                if (!inColor(x, y - 1)) addEdge(x, y, x + 1, y);
+                if (!inColor(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+                if (!inColor(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+                if (!inColor(x - 1, y)) addEdge(x, y + 1, x, y);
+            }
+        }
+
+        const takeEdge = vertex => {
+            if (nextExtra.has(vertex)) {
+                const end = nextExtra.get(vertex);
+                nextExtra.delete(vertex);
+                return end;
+            }
+            const end = next.get(vertex);
+            next.delete(vertex);
+            return end;
+        };
+
+        const loops = [];
+        while (next.size > 0) {
+            const start = next.keys().next().value;
+            const vertices = [start];
+            let vertex = takeEdge(start);
+            while (vertex !== start) {
+                vertices.push(vertex);
+                vertex = takeEdge(vertex);
+            }
+            loops.push(this.simplify(vertices, stride));
+        }
+        return loops;
+    }
+
+    /**
+     * Drop the vertices in the middle of straight runs
+     * @param {Array<number>} vertices - Loop vertex ids
+     * @returns {Array<number>} Flat corner coordinates
+     */
+    static simplify(vertices, stride) {
+        const corners = [];
+        const count = vertices.length;
+        for (let i = 0; i < count; i++) {
+            const previous = vertices[(i + count - 1) % count];
+            const current = vertices[i];
+            const following = vertices[(i + 1) % count];
+            // Straight when the step in and the step out are the same
+            if (current - previous === following - current) continue;
+            corners.push(current % stride, Math.floor(current / stride));
+        }
+        return corners;
+    }
+
+    /**
+     * SVG path data for axis-aligned loops
+     * @returns {string} Path data using H/V segments
+     */
+    static toPathData(loops) {
+        return loops.map(loop => {
+            let d = `M${loop[0]} ${loop[1]}`;
+            for (let i = 2; i < loop.length; i += 2) {
+                d += loop[i + 1] === loop[i - 1] ? `H${loop[i]}` : `V${loop[i + 1]}`;
+            }
+            // The closing segment back to the start is implied by Z
+            return d + 'Z';
+        }).join('');
+    }
+
+    /**
+     * Write the color map as an SVG with one group per color
+     * @param {Uint8Array} colorMap - Palette index per pixel
+     * @param {number} width - Color map width
+     * @param {number} height - Color map height
+     * @param {Array<{hex: string, index: number}>} colors - Colors to include, in drawing order; index into the color map palette
+     * @param {Object} options - Output options
+     * @param {number} [options.widthMm] - Physical width, so the drawing prints to scale
+     * @param {number} [options.heightMm] - Physical height
+     * @param {string} [options.title] - Document title
+     * @param {string} [options.description] - Document description
+     * @param {function(number)} [onProgress] - Called with the fraction of colors traced
+     * @returns {string} SVG document
+     */
+    static createSVG(colorMap, width, height, colors, options = {}, onProgress = null) {
+        const { widthMm, heightMm, title, description } = options;
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const size = widthMm && heightMm
+            ? `width="${+widthMm.toFixed(3)}mm" height="${+heightMm.toFixed(3)}mm" `
+            : `width="${width}" height="${height}" `;
+
+        const groups = colors.map((color, order) => {
+            onProgress?.(order / colors.length);
+            const hex = color.hex.toLowerCase();
+            const d = this.toPathData(this.traceColor(colorMap, width, height, color.index));
+            const id = `color-${String(order + 1).padStart(2, '0')}-${hex.slice(1)}`;
+            return `  <g id="${id}" fill="${hex}">\n    <path d="${d}"/>\n  </g>`;
+        });
+        onProgress?.(1);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" ${size}viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+            ...(title ? [`  <title>${escape(title)}</title>`] : []),
+            ...(description ? [`  <desc>${escape(description)}</desc>`] : []),
+            ...groups,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+};
@@ -0,0 +1,239 @@
+/**
+ * PolyHue - Worker Client
+ *
+ * Promise-based requests to a task worker, matched to responses by id,
+ * with progress callbacks. When Web Workers are unavailable (or the
+ * worker fails to load, e.g. when opened from file://) the same task
+ * table runs on the main thread instead. Requests can be cancelled, all
+ * at once or by group, which replaces the busy worker with a fresh one
+ * when nothing else is running on it.
+ */
+
+/**
+ * Worker client class
+ */
+window.WorkerClient = class WorkerClient {
+
+    /**
+     * @param {string} scriptUrl - Worker script URL
+     * @param {Object} tasks - Task table with run(type, data, onProgress), used as the main-thread fallback
+     */
+    constructor(scriptUrl, tasks) {
+        this.scriptUrl = scriptUrl;
+        this.tasks = tasks;
+        this.pending = new Map();
+        this.queue = [];
+        this.ready = false;
+        this.nextId = 1;
+        this.lastImage = null;
+        this.worker = null;
+
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers are not supported; processing will run on the main thread');
+            return;
+        }
+        this.startWorker();
+    }
+
+    /**
+     * Start the worker; requests queue until it reports ready
+     */
+    startWorker() {
+        this.ready = false;
+        try {
+            this.worker = new Worker(this.scriptUrl);
+            this.worker.onmessage = this.handleMessage.bind(this);
+            this.worker.onerror = this.handleWorkerError.bind(this);
+        } catch (error) {
+            console.warn('Could not start worker; processing will run on the main thread:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Send a task request
+     * @param {string} type - WorkerRequest type
+     * @param {Object} data - Task payload
+     * @param {Object} options - Request options
+     * @param {function(number)} [options.onProgress] - Called with progress (0-100)
+     * @param {Array<ArrayBuffer>} [options.transfer] - Buffers to hand over to the worker
+     * @param {string} [options.group] - Cancel group, so cancel(group) leaves other requests running
+     * @returns {Promise<*>} Task result
+     */
+    request(type, data, options = {}) {
+        const { onProgress = null, transfer = [], group = null } = options;
+
+        // Remembered so the image can be restored if we fall back mid-session
+        if (type === 'set-image') {
+            this.lastImage = data;
+        }
+
+        if (!this.worker) {
+            return this.runLocally(type, data, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { id: String(this.nextId++), type, data, transfer, onProgress, group, resolve, reject };
+
+            // Nothing is posted until the worker has loaded, so a worker that
+            // never starts cannot take (transfer) buffers we still need
+            if (this.ready) {
+                this.post(request);
+            } else {
+                this.queue.push(request);
+            }
+        });
+    }
+
+    /**
+     * Post a request to the worker and track it until its final response
+     */
+    post(request) {
+        this.pending.set(request.id, request);
+        this.worker.postMessage({ type: request.type, id: request.id, data: request.data }, request.transfer);
+    }
+
+    /**
+     * Run a task on the main thread, after yielding so the UI can update first
+     */
+    runLocally(type, data, onProgress) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                try {
+                    resolve(this.tasks.run(type, data, progress => onProgress?.(progress)));
+                } catch (error) {
+                    reject(error);
+                }
+            }, 0);
+        });
+    }
+
+    /**
+     * Route a WorkerResponse to its pending request
+     */
+    handleMessage(event) {
+        const { type, id, data, error, progress } = event.data;
+
+        if (type === 'ready') {
+            this.ready = true;
+            this.queue.splice(0).forEach(request => this.post(request));
+            return;
+        }
+
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        switch (type) {
+            case 'progress':
+                request.onProgress?.(progress);
+                break;
+            case 'success':
+                this.pending.delete(id);
+                request.resolve(data);
+                break;
+            case 'error':
+                this.pending.delete(id);
+                request.reject(new Error(error));
+                break;
+        }
+    }
+
+    /**
+     * The worker script failed to load or crashed: switch to the main
+     * thread and rerun what it can there
+     */
+    handleWorkerError(event) {
+        console.warn('Worker failed; falling back to the main thread:', event.message || event);
+        event.preventDefault?.();
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const requests = [...this.pending.values(), ...this.queue.splice(0)];
+        this.pending.clear();
+
+        if (this.lastImage && this.ready) {
+            this.tasks.run('set-image', this.lastImage, () => {});
+        }
+        requests.forEach(request => {
+            // Buffers already transferred to the dead worker are gone
+            if (request.transfer.some(buffer => buffer.byteLength === 0)) {
+                request.reject(new Error('Worker failed while processing'));
+                return;
+            }
+            this.runLocally(request.type, request.data, request.onProgress).then(request.resolve, request.reject);
+        });
+    }
+
+    /**
+     * Abandon queued and running requests; they reject with an AbortError.
+     * A busy worker cannot be interrupted, so it is replaced when only
+     * cancelled requests are running on it. Otherwise the cancelled ones
+     * finish there and their results are dropped. Requests already running
+     * on the main thread finish but are not cancelled, so callers should
+     * still ignore stale results.
+     * @param {string} [group] - Only cancel requests made with this group
+     */
+    cancel(group = null) {
+        const cancelled = request => group === null || request.group === group;
+        const running = [...this.pending.values()].filter(cancelled);
+        const queued = this.queue.filter(cancelled);
+        const requests = [...running, ...queued];
+        if (requests.length === 0) return;
+
+        this.queue = this.queue.filter(request => !cancelled(request));
+        if (this.worker && running.length > 0 && running.length === this.pending.size) {
+            this.worker.terminate();
+            this.pending.clear();
+            this.startWorker();
+
+            // The fresh worker needs the image again, before anything still queued
+            if (this.lastImage && this.worker) {
+                this.queue.unshift({
+                    id: String(this.nextId++), type: 'set-image', data: this.lastImage, transfer: [],
+                    onProgress: null, group: null, resolve: () => {}, reject: () => {}
+                });
+            }
+        } else {
+            running.forEach(request => this.pending.delete(request.id));
+        }
+
+        requests.forEach(request => {
+            const error = new Error('Request cancelled');
+            error.name = 'AbortError';
+            request.reject(error);
+        });
+    }
+
+    /**
+     * Stop the worker and reject anything still pending
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        [...this.pending.values(), ...this.queue.splice(0)].forEach(request => {
+            request.reject(new Error('Worker terminated'));
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Typed-array buffers anywhere in a message, so they can be transferred instead of copied
+     * @param {*} value - Message payload or task result
+     * @returns {Array<ArrayBuffer>} Buffers to transfer
+     */
+    static collectTransferables(value) {
+        const buffers = new Set();
+        const visit = item => {
+            if (ArrayBuffer.isView(item)) {
+                buffers.add(item.buffer);
+            } else if (item && typeof item === 'object') {
+                Object.values(item).forEach(visit);
+            }
+        };
+        visit(value);
+        return [...buffers];
+    }
+};
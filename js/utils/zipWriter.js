@@ -0,0 +1,150 @@
+/**
+ * PolyHue - ZIP Writer
+ *
+ * Minimal ZIP archive writer for 3MF packages and export bundles. Entries
+ * are deflated with CompressionStream where the browser (or worker)
+ * supports it and stored uncompressed otherwise. No ZIP64, so archives
+ * must stay under 4 GB.
+ */
+
+/**
+ * ZIP writer class with static methods
+ */
+window.ZipWriter = class ZipWriter {
+
+    /**
+     * Build a ZIP archive
+     * @param {Array<{name: string, data: string|Uint8Array}>} entries - Files in archive order
+     * @param {Object} options - Archive options
+     * @param {boolean} [options.compress=true] - Deflate entries when supported
+     * @param {Date} [options.date] - Modification time for every entry
+     * @param {function(number)} [onProgress] - Called with the fraction of entries written
+     * @returns {Promise<Uint8Array>} Archive bytes
+     */
+    static async create(entries, options = {}, onProgress = null) {
+        const { compress = true, date = new Date() } = options;
+        const encoder = new TextEncoder();
+        const { time, day } = this.dosDateTime(date);
+        const canDeflate = compress && typeof CompressionStream !== 'undefined';
+
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (let i = 0; i < entries.length; i++) {
+            onProgress?.(i / entries.length);
+            const entry = entries[i];
+            const name = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+            const crc = this.crc32(data);
+
+            // Keep the deflated copy only when it actually saves space
+            let method = 0;
+            let stored = data;
+            if (canDeflate && data.length > 0) {
+                const deflated = await this.deflate(data);
+                if (deflated.length < data.length) {
+                    method = 8;
+                    stored = deflated;
+                }
+            }
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true); // version needed
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, method, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, day, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, stored.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true); // version made by
+            record.setUint16(6, 20, true); // version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, method, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, day, true);
+            record.setUint32(16, crc, true);
+            record.setUint32(20, stored.length, true);
+            record.setUint32(24, data.length, true);
+            record.setUint16(28, name.length, true);
+            record.setUint32(42, offset, true);
+
+            parts.push(new Uint8Array(header.buffer), name, stored);
+            centralDirectory.push(new Uint8Array(record.buffer), name);
+            offset += 30 + name.length + stored.length;
+        }
+
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        onProgress?.(1);
+        return this.concat([...parts, ...centralDirectory, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Raw-deflate bytes with the platform CompressionStream
+     * @returns {Promise<Uint8Array>} Deflated bytes
+     */
+    static async deflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * CRC-32 (IEEE) checksum
+     * @returns {number} Unsigned checksum
+     */
+    static crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * MS-DOS time and date fields for a local time
+     */
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Join byte arrays
+     */
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+};
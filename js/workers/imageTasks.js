@@ -0,0 +1,176 @@
+/**
+ * PolyHue - Image Processing Tasks
+ *
+ * The CPU-heavy image steps (palette extraction, coverage measurement and
+ * solving, pixel assignment, TD layer counts, preview rendering, SVG tracing) behind one message-style
+ * interface. imageWorker.js runs them off the main thread; WorkerClient
+ * calls them directly when Web Workers are unavailable.
+ */
+
+/**
+ * Image task table with static methods
+ */
+window.ImageTasks = class ImageTasks {
+
+    /**
+     * Run a task by name
+     * @param {string} type - WorkerRequest type
+     * @param {Object} data - Task payload
+     * @param {function(number)} onProgress - Called with progress (0-100)
+     * @returns {*} Task result
+     */
+    static run(type, data, onProgress) {
+        const report = fraction => onProgress(Math.round(Math.min(1, Math.max(0, fraction)) * 100));
+
+        switch (type) {
+            case 'set-image':
+                return this.setImage(data);
+            case 'quantize':
+                return this.quantize(data, report);
+            case 'measure-coverage':
+                return this.measureCoverage(data);
+            case 'solve-coverage':
+                return this.solveCoverage(data, report);
+            case 'map-colors':
+                return this.mapColors(data, report);
+            case 'assign-layers':
+                return this.assignLayers(data, report);
+            case 'render-preview':
+                return this.renderPreview(data, report);
+            case 'trace-svg':
+                return this.traceSVG(data, report);
+            default:
+                throw new Error(`Unknown image task: ${type}`);
+        }
+    }
+
+    /**
+     * Keep the full-resolution image so later tasks don't resend it
+     * @param {{pixels: Uint8ClampedArray, width: number, height: number}} data - Image pixels
+     */
+    static setImage(data) {
+        this.image = { pixels: data.pixels, width: data.width, height: data.height };
+        return { width: data.width, height: data.height };
+    }
+
+    /**
+     * Image pixels for a task: the payload's own pixels, or the stored image
+     */
+    static getPixels(data) {
+        if (data.pixels) return data.pixels;
+        if (!this.image) {
+            throw new Error('No image has been loaded for processing');
+        }
+        return this.image.pixels;
+    }
+
+    /**
+     * Extract a palette from the stored image
+     * @param {{colorCount: number, algorithm: string, seed: number}} data - Quantization options
+     */
+    static quantize(data, report) {
+        return window.ColorQuantizer.quantize(this.getPixels(data), {
+            colorCount: data.colorCount,
+            algorithm: data.algorithm,
+            seed: data.seed,
+            onProgress: report
+        });
+    }
+
+    /**
+     * Natural (unbiased) coverage of each palette color
+     * @param {{palette: Array<RGB>, metric: string}} data - Palette and metric
+     * @returns {Float64Array} Coverage per palette entry (0-100)
+     */
+    static measureCoverage(data) {
+        const matcher = window.ColorDistance.createMatcher(data.palette, data.metric);
+        return window.ColorMapper.measureCoverage(this.getPixels(data), matcher);
+    }
+
+    /**
+     * Solve per-color biases for coverage targets
+     * @param {{palette: Array<RGB>, metric: string, targets: Array<number>}} data - Palette, metric and targets
+     * @returns {{bias: Float64Array, coverage: Float64Array}} Bias and achieved coverage
+     */
+    static solveCoverage(data, report) {
+        const matcher = window.ColorDistance.createMatcher(data.palette, data.metric);
+        return window.ColorMapper.solveCoverageBias(this.getPixels(data), matcher, data.targets, {
+            onProgress: report
+        });
+    }
+
+    /**
+     * Assign every pixel to a palette index
+     * @param {Object} data - { palette, metric, bias, dithering, ditherStrength } plus optional pixels/width/height
+     * @returns {{indices: Uint8Array, counts: Uint32Array}} Palette index per pixel and pixel counts
+     */
+    static mapColors(data, report) {
+        const matcher = window.ColorDistance.createMatcher(data.palette, data.metric);
+        const width = data.pixels ? data.width : this.image.width;
+        const height = data.pixels ? data.height : this.image.height;
+
+        return window.ColorMapper.mapPixels(this.getPixels(data), width, height, matcher, {
+            bias: data.bias,
+            dithering: data.dithering,
+            ditherStrength: data.ditherStrength,
+            onProgress: report
+        });
+    }
+
+    /**
+     * Pick the number of filament stack layers for every pixel of the stored image
+     * @param {Object} data - { stack, metric }: TdLayering.assignLayers() arguments
+     * @returns {{layerCounts: Uint16Array}} Layers per pixel (0 = transparent)
+     */
+    static assignLayers(data, report) {
+        const { layerCounts } = window.TdLayering.assignLayers(this.getPixels(data), data.stack, data.metric, report);
+        return { layerCounts };
+    }
+
+    /**
+     * Recolor preview pixels in place: flat palette colors, or the blended
+     * filament color when a TD stack is given
+     * @param {Object} data - mapColors() payload with pixels, plus an optional TdLayering stack
+     * @returns {{pixels: Uint8ClampedArray}} Recolored RGBA pixels
+     */
+    static renderPreview(data, report) {
+        const pixels = data.pixels;
+
+        if (data.stack) {
+            const { layerCounts, layerColors } = window.TdLayering.assignLayers(pixels, data.stack, data.metric, report);
+            for (let p = 0; p < layerCounts.length; p++) {
+                // Skip transparent pixels
+                if (layerCounts[p] === 0) continue;
+                this.writeColor(pixels, p, layerColors[layerCounts[p] - 1]);
+            }
+            return { pixels };
+        }
+
+        const { indices } = this.mapColors(data, report);
+        for (let p = 0; p < indices.length; p++) {
+            // Skip transparent pixels
+            if (indices[p] === window.ColorMapper.TRANSPARENT) continue;
+            this.writeColor(pixels, p, data.palette[indices[p]]);
+        }
+        return { pixels };
+    }
+
+    /**
+     * Vectorize a color map into an SVG with one path group per color
+     * @param {Object} data - { colorMap, width, height, colors, options }: Vectorizer.createSVG() arguments
+     * @returns {{svg: string}} SVG document
+     */
+    static traceSVG(data, report) {
+        const { colorMap, width, height, colors, options } = data;
+        return { svg: window.Vectorizer.createSVG(colorMap, width, height, colors, options, report) };
+    }
+
+    /**
+     * Write an RGB color into an RGBA buffer, keeping alpha
+     */
+    static writeColor(pixels, p, color) {
+        pixels[p * 4] = color.r;
+        pixels[p * 4 + 1] = color.g;
+        pixels[p * 4 + 2] = color.b;
+    }
+};
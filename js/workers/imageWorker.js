@@ -0,0 +1,46 @@
+/**
+ * PolyHue - Image Processing Worker
+ *
+ * Runs ImageTasks off the main thread. Requests and responses follow the
+ * WorkerRequest / WorkerResponse shapes in types.ts: progress messages
+ * carry a 0-100 `progress`, and the final message is 'success' or 'error'.
+ */
+
+// The utilities register themselves on `window`; alias it so they load unchanged
+self.window = self;
+
+importScripts(
+    '../types.js',
+    '../utils/colorDistance.js',
+    '../utils/colorQuantizer.js',
+    '../utils/colorMapper.js',
+    '../utils/swapTable.js',
+    '../utils/tdLayering.js',
+    '../utils/vectorizer.js',
+    '../utils/workerClient.js',
+    'imageTasks.js'
+);
+
+self.onmessage = (event) => {
+    const { type, id, data } = event.data;
+    let lastProgress = -1;
+
+    try {
+        const result = self.ImageTasks.run(type, data, progress => {
+            // Only post when the whole-number percentage changes
+            if (progress === lastProgress) return;
+            lastProgress = progress;
+            self.postMessage({ type: 'progress', id, progress });
+        });
+
+        self.postMessage(
+            { type: 'success', id, data: result, final: true },
+            self.WorkerClient.collectTransferables(result)
+        );
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: error.message, final: true });
+    }
+};
+
+// Tell the client the scripts loaded and requests can be posted
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,120 @@
+/**
+ * PolyHue - Mesh Generation Tasks
+ *
+ * Color-layer relief and lithophane mesh building, mesh validation,
+ * STL/3MF/ZIP writing and G-code patching behind the same message-style
+ * interface as ImageTasks.
+ * meshWorker.js runs them off the main thread; meshes are plain typed
+ * arrays ready for BufferGeometry.
+ */
+
+/**
+ * Mesh task table with static methods
+ */
+window.MeshTasks = class MeshTasks {
+
+    /**
+     * Run a task by name
+     * @param {string} type - WorkerRequest type
+     * @param {Object} data - Task payload
+     * @param {function(number)} onProgress - Called with progress (0-100)
+     * @returns {*} Task result (a Promise for packaging tasks)
+     */
+    static run(type, data, onProgress) {
+        const report = fraction => onProgress(Math.round(Math.min(1, Math.max(0, fraction)) * 100));
+
+        switch (type) {
+            case 'mesh-generate':
+                return this.generateColorLayers(data, report);
+            case 'lithophane-generate':
+                return this.generateLithophane(data, report);
+            case 'validate':
+                return this.validate(data, report);
+            case 'export-stl':
+                return this.exportSTL(data, report);
+            case 'export-3mf':
+                return this.export3MF(data, report);
+            case 'export-zip':
+                return this.exportZip(data, report);
+            case 'patch-gcode':
+                return this.patchGcode(data, report);
+            default:
+                throw new Error(`Unknown mesh task: ${type}`);
+        }
+    }
+
+    /**
+     * Build one mesh per color layer, or per filament of a TD stack
+     * @param {Object} data - { colorMap } plus the MeshBuilder.buildColorLayers() options,
+     *                        or { layerCounts } plus the MeshBuilder.buildFilamentStack() options
+     * @returns {{layers: Array<Object>}} Per-layer typed-array meshes
+     */
+    static generateColorLayers(data, report) {
+        if (data.layerCounts) {
+            return { layers: window.MeshBuilder.buildFilamentStack(data.layerCounts, data, report) };
+        }
+        return { layers: window.MeshBuilder.buildColorLayers(data.colorMap, data, report) };
+    }
+
+    /**
+     * Build the lithophane body from image pixels
+     * @param {Object} data - { pixels, width, height, thickness, mesh }: pixel data, computeThicknessMap() and buildMesh() options
+     * @returns {{positions: Float32Array, indices: Uint32Array}} Lithophane mesh
+     */
+    static generateLithophane(data, report) {
+        const thicknessMap = window.LithophaneGenerator.computeThicknessMap(data.pixels, data.width, data.height, data.thickness);
+        report(0.5);
+        return window.LithophaneGenerator.buildMesh(thicknessMap, data.mesh);
+    }
+
+    /**
+     * Check meshes for problems slicers report
+     * @param {{meshes: Array<{positions: Float32Array, indices: Uint32Array}>}} data - Meshes to check
+     * @returns {{reports: Array<MeshValidationReport>}} One report per mesh
+     */
+    static validate(data, report) {
+        const reports = data.meshes.map((mesh, index) => {
+            report(index / data.meshes.length);
+            return window.MeshValidator.validate(mesh.positions, mesh.indices);
+        });
+        return { reports };
+    }
+
+    /**
+     * Write meshes as one STL file
+     * @param {{meshes: Array<Object>, binary: boolean, name: string}} data - StlWriter.create() meshes and options
+     * @returns {{file: Blob}} STL file
+     */
+    static exportSTL(data, report) {
+        return { file: window.StlWriter.create(data.meshes, { binary: data.binary, name: data.name }, report) };
+    }
+
+    /**
+     * Package color layers as a 3MF file
+     * @param {{parts: Array<Object>, title: string, metadata: Object}} data - ThreeMFWriter.create() parts and options
+     * @returns {Promise<{data: Uint8Array}>} 3MF bytes
+     */
+    static async export3MF(data, report) {
+        const { parts, title, metadata } = data;
+        return { data: await window.ThreeMFWriter.create(parts, { title, metadata }, report) };
+    }
+
+    /**
+     * Bundle export files into one ZIP
+     * @param {{entries: Array<{name: string, data: string|Uint8Array}>}} data - Files in archive order
+     * @returns {Promise<{data: Uint8Array}>} ZIP bytes
+     */
+    static async exportZip(data, report) {
+        return { data: await window.ZipWriter.create(data.entries, {}, report) };
+    }
+
+    /**
+     * Insert color changes into a sliced G-code file
+     * @param {{file: Blob, changes: Array<Object>, macro: string}} data - G-code file and GcodePatcher.patch() arguments
+     * @returns {Promise<{file: Blob, summary: Object}>} Patched G-code and where the changes went
+     */
+    static async patchGcode(data, report) {
+        const { gcode, summary } = window.GcodePatcher.patch(await data.file.text(), data.changes, { macro: data.macro }, report);
+        return { file: new Blob([gcode], { type: 'text/x.gcode' }), summary };
+    }
+};
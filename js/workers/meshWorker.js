@@ -0,0 +1,49 @@
+/**
+ * PolyHue - Mesh Generation Worker
+ *
+ * Runs MeshTasks off the main thread and transfers the resulting typed
+ * arrays back. The worker keeps no state between requests, so WorkerClient
+ * can cancel a build by replacing it with a fresh worker.
+ */
+
+// The utilities register themselves on `window`; alias it so they load unchanged
+self.window = self;
+
+importScripts(
+    '../types.js',
+    '../utils/colorDistance.js',
+    '../utils/lithophaneGenerator.js',
+    '../utils/swapTable.js',
+    '../utils/meshBuilder.js',
+    '../utils/meshValidator.js',
+    '../utils/zipWriter.js',
+    '../utils/stlWriter.js',
+    '../utils/threeMFWriter.js',
+    '../utils/gcodePatcher.js',
+    '../utils/workerClient.js',
+    'meshTasks.js'
+);
+
+self.onmessage = async (event) => {
+    const { type, id, data } = event.data;
+    let lastProgress = -1;
+
+    try {
+        const result = await self.MeshTasks.run(type, data, progress => {
+            // Only post when the whole-number percentage changes
+            if (progress === lastProgress) return;
+            lastProgress = progress;
+            self.postMessage({ type: 'progress', id, progress });
+        });
+
+        self.postMessage(
+            { type: 'success', id, data: result, final: true },
+            self.WorkerClient.collectTransferables(result)
+        );
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: error.message, final: true });
+    }
+};
+
+// Tell the client the scripts loaded and requests can be posted
+self.postMessage({ type: 'ready' });